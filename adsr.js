@@ -7,63 +7,175 @@
 window.initSynthLabADSR = (ui) => {
     'use strict';
 
+    const ADSR_PADDING = 10;
+    const SUSTAIN_VIEW_TIME = 1;  // Sustain-vaihe piirretään kiinteän mittaisena (s)
+    const CURVE_DRAW_STEPS = 24;
+    const MAX_DRAWN_LOOPS = 64;   // Sama yläraja kuin SineEnginen silmukalla
+    const HANDLES = ['attack', 'hold', 'decay', 'release'];
+    let lockedDuration = null;    // Raahauksen ajan lukittu aikajana, ettei kuva skaalaudu kahvan alla
+    let dragBreakpoint = null;
+
+    const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+    // Noudetaan arvot liukusäätimistä ja lasketaan taitepisteiden sijainnit
+    const getBreakpoints = () => {
+        const canvas = ui.adsrCanvas;
+        const v = {
+            attack: parseFloat(ui.adsrAttack.value),
+            hold: parseFloat(ui.adsrHold.value),
+            decay: parseFloat(ui.adsrDecay.value),
+            sustain: parseFloat(ui.adsrSustain.value),
+            release: parseFloat(ui.adsrRelease.value)
+        };
+        const totalDuration = lockedDuration || (v.attack + v.hold + v.decay + SUSTAIN_VIEW_TIME + v.release);
+        const graphWidth = canvas.width - ADSR_PADDING * 2;
+        const graphHeight = canvas.height - ADSR_PADDING * 2;
+        const toX = (t) => ADSR_PADDING + (t / totalDuration) * graphWidth;
+        const toY = (level) => ADSR_PADDING + (1 - level) * graphHeight;
+        const holdEnd = v.attack + v.hold;
+        const decayEnd = holdEnd + v.decay;
+        return {
+            values: v, totalDuration, graphWidth, graphHeight, toX, toY,
+            attack: { x: toX(v.attack), y: toY(1) },                                     // Attackin huippu
+            hold: { x: toX(holdEnd), y: toY(1) },                                        // Holdin loppu
+            decay: { x: toX(decayEnd), y: toY(v.sustain) },                              // Decayn loppu / sustain-taso
+            sustainEnd: { x: toX(decayEnd + SUSTAIN_VIEW_TIME), y: toY(v.sustain) },     // Releasen alku
+            release: { x: toX(decayEnd + SUSTAIN_VIEW_TIME + v.release), y: toY(0) }     // Loppu
+        };
+    };
+
     /**
      * Piirtää ADSR-käyrän keltaisella neon-värillä canvas-elementille.
-     * Laskee suhteelliset etäisyydet Attack-, Decay- ja Release-ajoille.
+     * Segmenttien muodot (linear/exp/log) lasketaan samalla kaavalla kuin SineEnginessä,
+     * ja silmukka näytetään toistuvina attack-hold-decay-kierroksina sustain-alueella.
      */
     const drawAdsrCurve = () => {
         const canvas = ui.adsrCanvas;
         if (!canvas) return;
 
         const ctx = canvas.getContext('2d');
-        const width = canvas.width;
-        const height = canvas.height;
         const styles = getComputedStyle(document.documentElement);
-
-        // Noudetaan arvot liukusäätimistä
-        const attack = parseFloat(ui.adsrAttack.value);
-        const decay = parseFloat(ui.adsrDecay.value);
-        const sustain = parseFloat(ui.adsrSustain.value);
-        const release = parseFloat(ui.adsrRelease.value);
+        const color = styles.getPropertyValue('--color-neon-yellow').trim();
+        const bp = getBreakpoints();
+        const v = bp.values;
+        const curves = { attack: ui.adsrAttackCurve.value, decay: ui.adsrDecayCurve.value, release: ui.adsrReleaseCurve.value };
 
         // Tyhjennetään tausta
         ctx.fillStyle = styles.getPropertyValue('--color-bg-container-opaque').trim();
-        ctx.fillRect(0, 0, width, height);
-
-        // Lasketaan visualisoinnin aikajanan pituus (kiinteä 1s sustain-vaiheelle visualisointiin)
-        const totalDuration = attack + decay + 1 + release;
-        const padding = 10;
-        const graphWidth = width - padding * 2;
-        const graphHeight = height - padding * 2;
-
-        // Lasketaan pisteet (X, Y)
-        const x1 = padding;                                                  // Alku (nolla)
-        const x2 = padding + (attack / totalDuration) * graphWidth;          // Attackin huippu
-        const x3 = padding + ((attack + decay) / totalDuration) * graphWidth; // Decayn loppu / Sustainin alku
-        const x4 = padding + ((attack + decay + 1) / totalDuration) * graphWidth; // Sustainin loppu / Releasen alku
-        const x5 = padding + ((attack + decay + 1 + release) / totalDuration) * graphWidth; // Loppu
-
-        const yTop = padding;                                                // Maksimivoimakkuus
-        const ySustain = padding + (1 - sustain) * graphHeight;              // Sustain-taso
-        const yBottom = padding + graphHeight;                               // Hiljaisuus
-
-        // Piirretään viiva
-        ctx.strokeStyle = styles.getPropertyValue('--color-neon-yellow').trim();
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Piirtää segmentin tasolta toiselle aikavälillä (s) valitulla muodolla
+        const segment = (from, to, t0, duration, curve) => {
+            for (let i = 1; i <= CURVE_DRAW_STEPS; i++) {
+                const t = i / CURVE_DRAW_STEPS;
+                ctx.lineTo(bp.toX(t0 + duration * t), bp.toY(window.SineEngine.getCurveValue(from, to, t, curve)));
+            }
+        };
+
+        ctx.strokeStyle = color;
         ctx.lineWidth = 2;
-        ctx.shadowColor = styles.getPropertyValue('--color-neon-yellow').trim();
+        ctx.shadowColor = color;
         ctx.shadowBlur = 4;
 
         ctx.beginPath();
-        ctx.moveTo(x1, yBottom);    // Aloituspiste
-        ctx.lineTo(x2, yTop);       // Attack
-        ctx.lineTo(x3, ySustain);    // Decay
-        ctx.lineTo(x4, ySustain);    // Sustain (pito)
-        ctx.lineTo(x5, yBottom);    // Release
+        ctx.moveTo(bp.toX(0), bp.toY(0));                   // Aloituspiste
+        segment(0, 1, 0, v.attack, curves.attack);          // Attack
+        ctx.lineTo(bp.hold.x, bp.hold.y);                   // Hold
+        segment(1, v.sustain, v.attack + v.hold, v.decay, curves.decay); // Decay
+
+        // Sustain (pito) tai silmukka, joka katkeaa releasen alkaessa
+        let t = v.attack + v.hold + v.decay;
+        let level = v.sustain;
+        const sustainEnd = t + SUSTAIN_VIEW_TIME;
+        const cycleLength = v.attack + v.hold + v.decay;
+        if (ui.adsrLoop.value === 'on' && cycleLength >= 0.01) {
+            for (let i = 0; i < MAX_DRAWN_LOOPS && t < sustainEnd; i++) {
+                const stages = [[v.sustain, 1, v.attack, curves.attack], [1, 1, v.hold, 'linear'], [1, v.sustain, v.decay, curves.decay]];
+                for (const [from, to, duration, curve] of stages) {
+                    if (t >= sustainEnd) break;
+                    const part = Math.min(duration, sustainEnd - t);
+                    const fraction = duration > 0 ? part / duration : 1;
+                    for (let j = 1; j <= CURVE_DRAW_STEPS; j++) {
+                        const f = (j / CURVE_DRAW_STEPS) * fraction;
+                        level = window.SineEngine.getCurveValue(from, to, f, curve);
+                        ctx.lineTo(bp.toX(t + duration * f), bp.toY(level));
+                    }
+                    t += part;
+                }
+            }
+        }
+        ctx.lineTo(bp.sustainEnd.x, bp.toY(level));
+        segment(level, 0, sustainEnd, v.release, curves.release); // Release
         ctx.stroke();
 
         ctx.shadowBlur = 0;
+
+        // Raahattavat taitepisteet
+        ctx.fillStyle = color;
+        HANDLES.forEach(name => ctx.fillRect(bp[name].x - 3, bp[name].y - 3, 6, 6));
+        canvas.title = `A ${v.attack.toFixed(3)}s  H ${v.hold.toFixed(3)}s  D ${v.decay.toFixed(3)}s  S ${v.sustain.toFixed(2)}  R ${v.release.toFixed(3)}s`;
+    };
+
+    // --- RAAHATTAVAT TAITEPISTEET ---
+
+    // Kirjoittaa arvon liukusäätimeen sen rajoissa; 'input'-tapahtuma päivittää näytöt ja käyrän
+    const setSlider = (input, value) => {
+        input.value = clamp(value, parseFloat(input.min), parseFloat(input.max));
+        input.dispatchEvent(new Event('input'));
+    };
+
+    const toAdsrCanvasCoords = (e) => {
+        const canvas = ui.adsrCanvas;
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    };
+
+    const onBreakpointMove = (e) => {
+        if (!dragBreakpoint) return;
+        const pos = toAdsrCanvasCoords(e);
+        const bp = getBreakpoints();
+        const secondsPerPixel = bp.totalDuration / bp.graphWidth;
+        if (dragBreakpoint === 'attack') {
+            setSlider(ui.adsrAttack, (pos.x - ADSR_PADDING) * secondsPerPixel);
+        } else if (dragBreakpoint === 'hold') {
+            setSlider(ui.adsrHold, (pos.x - bp.attack.x) * secondsPerPixel);
+        } else if (dragBreakpoint === 'decay') {
+            setSlider(ui.adsrDecay, (pos.x - bp.hold.x) * secondsPerPixel);
+            setSlider(ui.adsrSustain, 1 - (pos.y - ADSR_PADDING) / bp.graphHeight);
+        } else {
+            setSlider(ui.adsrRelease, (pos.x - bp.sustainEnd.x) * secondsPerPixel);
+        }
     };
 
+    const onBreakpointUp = () => {
+        dragBreakpoint = null;
+        lockedDuration = null;
+        window.removeEventListener('mousemove', onBreakpointMove);
+        window.removeEventListener('mouseup', onBreakpointUp);
+        drawAdsrCurve();
+    };
+
+    if (ui.adsrCanvas) {
+        ui.adsrCanvas.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const pos = toAdsrCanvasCoords(e);
+            const bp = getBreakpoints();
+            // Päällekkäisistä kahvoista (esim. hold 0) valitaan myöhempi, kun painetaan pisteen oikealta puolelta
+            let nearest = null;
+            HANDLES.forEach(name => {
+                const d = Math.hypot(bp[name].x - pos.x, bp[name].y - pos.y);
+                if (!nearest || d < nearest.d || (d === nearest.d && pos.x > bp[name].x)) nearest = { name, d };
+            });
+            dragBreakpoint = nearest.name;
+            lockedDuration = bp.totalDuration;
+            window.addEventListener('mousemove', onBreakpointMove);
+            window.addEventListener('mouseup', onBreakpointUp);
+        });
+    }
+
     /**
      * Palauttaa nykyiset ADSR-asetukset objektina.
      * Hyödyllinen esim. tallennusta tai playNote-funktiota varten.
@@ -74,8 +186,120 @@ window.initSynthLabADSR = (ui) => {
             decay: parseFloat(ui.adsrDecay.value),
             sustain: parseFloat(ui.adsrSustain.value),
             release: parseFloat(ui.adsrRelease.value),
-            velocitySens: parseFloat(ui.adsrVelocitySens.value)
+            hold: parseFloat(ui.adsrHold.value),
+            attackCurve: ui.adsrAttackCurve.value,
+            decayCurve: ui.adsrDecayCurve.value,
+            releaseCurve: ui.adsrReleaseCurve.value,
+            loop: ui.adsrLoop.value === 'on',
+            trigger: ui.adsrTrigger.value,
+            velocitySens: parseFloat(ui.adsrVelocitySens.value),
+            velocityCurve: ui.adsrVelocityCurve.value,
+            velocityTilt: parseFloat(ui.adsrVelocityTilt.value),
+            keyTilt: parseFloat(ui.adsrKeyTilt.value)
+        };
+    };
+
+    /**
+     * Luo pienen raahattavan verhokäyräeditorin yksittäiselle harmoniselle kerrokselle.
+     * Arvot ovat kertoimia suhteessa globaaliin ADSR:ään: attack- ja decay-aika 0–4x,
+     * sustain-taso 0–2x. Tuplaklikkaus palauttaa oletukset (1x, eli sama kuin globaali ADSR).
+     */
+    const createPartialEnvelopeEditor = (canvas, envelope, onChange) => {
+        const MAX_TIME_SCALE = 4;
+        const MAX_SUSTAIN_SCALE = 2;
+        const padding = 4;
+        let dragHandle = null;
+
+        // Lasketaan kahvojen sijainnit: attackin huippu ja decayn loppu (sustain-taso)
+        const getHandles = () => {
+            const halfWidth = (canvas.width - padding * 2) / 2;
+            const graphHeight = canvas.height - padding * 2;
+            const xPeak = padding + (envelope.attack / MAX_TIME_SCALE) * halfWidth;
+            const xDecay = xPeak + (envelope.decay / MAX_TIME_SCALE) * halfWidth;
+            const ySustain = padding + (1 - envelope.sustain / MAX_SUSTAIN_SCALE) * graphHeight;
+            return { peak: { x: xPeak, y: padding }, decay: { x: xDecay, y: ySustain }, halfWidth, graphHeight };
+        };
+
+        const draw = () => {
+            const ctx = canvas.getContext('2d');
+            const styles = getComputedStyle(document.documentElement);
+            const color = styles.getPropertyValue('--color-neon-yellow').trim();
+            const h = getHandles();
+            const isDefault = envelope.attack === 1 && envelope.decay === 1 && envelope.sustain === 1;
+
+            ctx.fillStyle = styles.getPropertyValue('--color-bg-container-opaque').trim();
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            // Katkoviiva = globaalin ADSR:n sustain-taso (kerroin 1x)
+            ctx.strokeStyle = styles.getPropertyValue('--color-bg-medium').trim();
+            ctx.setLineDash([2, 2]);
+            ctx.beginPath();
+            ctx.moveTo(0, padding + h.graphHeight / 2);
+            ctx.lineTo(canvas.width, padding + h.graphHeight / 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.strokeStyle = isDefault ? styles.getPropertyValue('--color-text-dim').trim() : color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(padding, canvas.height - padding);
+            ctx.lineTo(h.peak.x, h.peak.y);
+            ctx.lineTo(h.decay.x, h.decay.y);
+            ctx.lineTo(canvas.width - padding, h.decay.y);
+            ctx.stroke();
+
+            ctx.fillStyle = color;
+            [h.peak, h.decay].forEach(pt => ctx.fillRect(pt.x - 2, pt.y - 2, 4, 4));
+
+            canvas.title = `A x${envelope.attack.toFixed(2)}  D x${envelope.decay.toFixed(2)}  S x${envelope.sustain.toFixed(2)}`;
+        };
+
+        const toCanvasCoords = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: (e.clientX - rect.left) * (canvas.width / rect.width),
+                y: (e.clientY - rect.top) * (canvas.height / rect.height)
+            };
+        };
+
+        const onPointerMove = (e) => {
+            if (!dragHandle) return;
+            const pos = toCanvasCoords(e);
+            const h = getHandles();
+            if (dragHandle === 'peak') {
+                envelope.attack = clamp((pos.x - padding) / h.halfWidth * MAX_TIME_SCALE, 0.05, MAX_TIME_SCALE);
+            } else {
+                envelope.decay = clamp((pos.x - h.peak.x) / h.halfWidth * MAX_TIME_SCALE, 0.05, MAX_TIME_SCALE);
+                envelope.sustain = clamp((1 - (pos.y - padding) / h.graphHeight) * MAX_SUSTAIN_SCALE, 0, MAX_SUSTAIN_SCALE);
+            }
+            draw();
+            if (onChange) onChange(envelope);
         };
+
+        const onPointerUp = () => {
+            dragHandle = null;
+            window.removeEventListener('mousemove', onPointerMove);
+            window.removeEventListener('mouseup', onPointerUp);
+        };
+
+        canvas.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const pos = toCanvasCoords(e);
+            const h = getHandles();
+            const dist = (pt) => Math.hypot(pt.x - pos.x, pt.y - pos.y);
+            dragHandle = dist(h.peak) <= dist(h.decay) ? 'peak' : 'decay';
+            window.addEventListener('mousemove', onPointerMove);
+            window.addEventListener('mouseup', onPointerUp);
+        });
+
+        canvas.addEventListener('dblclick', () => {
+            envelope.attack = 1; envelope.decay = 1; envelope.sustain = 1;
+            draw();
+            if (onChange) onChange(envelope);
+        });
+
+        draw();
+        return { draw };
     };
 
     // --- TAPAHTUMANKUUNTELIJAT ---
@@ -85,6 +309,7 @@ window.initSynthLabADSR = (ui) => {
         ui.adsrDecay,
         ui.adsrSustain,
         ui.adsrRelease,
+        ui.adsrHold,
         ui.adsrVelocitySens
     ];
 
@@ -96,12 +321,17 @@ window.initSynthLabADSR = (ui) => {
         }
     });
 
+    [ui.adsrAttackCurve, ui.adsrDecayCurve, ui.adsrReleaseCurve, ui.adsrLoop].forEach(select => {
+        if (select) select.addEventListener('change', drawAdsrCurve);
+    });
+
     // Ensimmäinen piirto alustuksen yhteydessä
     drawAdsrCurve();
 
     // Rajapinta pääohjelmalle
     return {
         draw: drawAdsrCurve,
-        getSettings: getSettings
+        getSettings: getSettings,
+        createPartialEnvelopeEditor: createPartialEnvelopeEditor
     };
 };
\ No newline at end of file
@@ -0,0 +1,365 @@
+/**
+ * analysis.js - Synthwave Lab Sample Analysis Module
+ * Paikallinen äänianalyysi additiivista resynteesiä varten: FFT,
+ * perustaajuuden tunnistus ja osasävelten amplitudit, vaiheet ja verhokäyrät.
+ * Lisäksi tuotujen aaltomuotojen sävelkorkeuden ja loop-pisteiden tunnistus.
+ * Toimii dekoodatun AudioBufferin datalla, ei palvelinta.
+ */
+
+const SampleAnalysis = (() => {
+    const MIN_FREQ = 30;            // Perustaajuuden hakualue (Hz)
+    const MAX_FREQ = 2000;
+    const MAX_FRAME_SIZE = 16384;   // Spektrianalyysin ikkuna
+    const PITCH_WINDOW = 4096;      // Autokorrelaation ikkuna
+    const MAX_MULTIPLIER = 64;      // Sama yläraja kuin FreqMul-kentässä
+    const SILENCE_DB = -60;         // Tätä hiljaisemmat osasävelet jätetään pois
+    const ENV_FRAME_SIZE = 2048;
+    const ENV_HOP = 512;
+    const SINGLE_CYCLE_MAX = 0.1;   // Tätä lyhyemmät tiedostot (s) ovat yksi jakso (AKWF: 600 näytettä = 14 ms)
+    const MAX_CYCLE_HARMONICS = 256;
+    const MIN_LOOP_SECONDS = 0.1;   // Automaattinen loop kattaa vähintään näin monta sekuntia kokonaisia jaksoja
+
+    // --- APUFUNKTIOT ---
+
+    // Sekoittaa kaikki kanavat yhdeksi monosignaaliksi
+    function toMono(audioBuffer) {
+        const mono = new Float32Array(audioBuffer.length);
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) mono[i] += data[i] / audioBuffer.numberOfChannels;
+        }
+        return mono;
+    }
+
+    function largestPowerOfTwo(n) {
+        let size = 1;
+        while (size * 2 <= n) size *= 2;
+        return size;
+    }
+
+    /**
+     * Radix-2 FFT paikallaan. re ja im ovat saman pituisia (kahden potenssi) taulukoita.
+     */
+    function fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let len = 2; len <= n; len <<= 1) {
+            const angle = -2 * Math.PI / len;
+            const wRe = Math.cos(angle), wIm = Math.sin(angle);
+            for (let i = 0; i < n; i += len) {
+                let curRe = 1, curIm = 0;
+                for (let j = 0; j < len / 2; j++) {
+                    const aRe = re[i + j], aIm = im[i + j];
+                    const bRe = re[i + j + len / 2] * curRe - im[i + j + len / 2] * curIm;
+                    const bIm = re[i + j + len / 2] * curIm + im[i + j + len / 2] * curRe;
+                    re[i + j] = aRe + bRe; im[i + j] = aIm + bIm;
+                    re[i + j + len / 2] = aRe - bRe; im[i + j + len / 2] = aIm - bIm;
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+    }
+
+    // Hann-ikkunoitu spektri annetusta kohdasta
+    function spectrum(samples, start, size) {
+        const re = new Float32Array(size);
+        const im = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            const w = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1));
+            re[i] = (samples[start + i] || 0) * w;
+        }
+        fft(re, im);
+        return { re, im, size };
+    }
+
+    const wrap = (rad) => ((rad % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+    // Voimakkain kohta: analyysi tehdään sieltä, missä ääni on vakiintunut
+    function findLoudestBlock(samples, blockSize) {
+        let best = 0, bestEnergy = -1;
+        for (let start = 0; start + blockSize <= samples.length; start += blockSize) {
+            let energy = 0;
+            for (let i = start; i < start + blockSize; i++) energy += samples[i] * samples[i];
+            if (energy > bestEnergy) { bestEnergy = energy; best = start; }
+        }
+        return best;
+    }
+
+    /**
+     * Tunnistaa perustaajuuden normalisoidulla autokorrelaatiolla (McLeod-tyyppinen NSDF).
+     * Palauttaa taajuuden hertseinä tai null, jos selvää jaksoa ei löydy.
+     */
+    function detectFundamental(samples, sampleRate, start) {
+        const minLag = Math.floor(sampleRate / MAX_FREQ);
+        const maxLag = Math.ceil(sampleRate / MIN_FREQ);
+        const windowSize = Math.min(PITCH_WINDOW, samples.length - maxLag - 1);
+        if (windowSize < minLag * 2) return null;
+        const offset = Math.max(0, Math.min(start || 0, samples.length - windowSize - maxLag - 1));
+
+        const nsdf = new Float32Array(maxLag + 1);
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let acf = 0, energy = 0;
+            for (let i = 0; i < windowSize; i++) {
+                const a = samples[offset + i], b = samples[offset + i + lag];
+                acf += a * b;
+                energy += a * a + b * b;
+            }
+            nsdf[lag] = energy > 0 ? 2 * acf / energy : 0;
+        }
+
+        // Ensimmäinen paikallinen huippu, joka yltää lähelle korkeinta huippua
+        const peaks = [];
+        for (let lag = minLag + 1; lag < maxLag; lag++) {
+            if (nsdf[lag] > 0 && nsdf[lag] >= nsdf[lag - 1] && nsdf[lag] > nsdf[lag + 1]) peaks.push(lag);
+        }
+        if (peaks.length === 0) return null;
+        const highest = Math.max(...peaks.map(lag => nsdf[lag]));
+        if (highest < 0.5) return null;
+        const lag = peaks.find(l => nsdf[l] >= highest * 0.9);
+
+        // Paraabelisovitus tarkentaa jakson pituutta
+        const y0 = nsdf[lag - 1], y1 = nsdf[lag], y2 = nsdf[lag + 1];
+        const denom = y0 - 2 * y1 + y2;
+        const shift = denom !== 0 ? 0.5 * (y0 - y2) / denom : 0;
+        return sampleRate / (lag + shift);
+    }
+
+    /**
+     * Etsii spektristä huipun odotetun taajuuden läheltä.
+     * Palauttaa { freq, amplitude, phase } (phase = kosinin vaihe ikkunan keskikohdassa).
+     */
+    function findPeak(spec, sampleRate, expectedFreq) {
+        const binWidth = sampleRate / spec.size;
+        const center = Math.round(expectedFreq / binWidth);
+        const range = Math.max(2, Math.round(center * 0.03));
+        const magnitude = (b) => Math.hypot(spec.re[b], spec.im[b]);
+
+        let bin = center;
+        for (let b = Math.max(1, center - range); b <= Math.min(spec.size / 2 - 2, center + range); b++) {
+            if (magnitude(b) > magnitude(bin)) bin = b;
+        }
+        if (bin < 1 || bin >= spec.size / 2 - 1) return null;
+
+        // Paraabelisovitus logaritmiseen magnitudiin
+        const m0 = Math.log(magnitude(bin - 1) + 1e-12), m1 = Math.log(magnitude(bin) + 1e-12), m2 = Math.log(magnitude(bin + 1) + 1e-12);
+        const denom = m0 - 2 * m1 + m2;
+        const delta = denom !== 0 ? 0.5 * (m0 - m2) / denom : 0;
+        const amplitude = Math.exp(m1 - 0.25 * (m0 - m2) * delta);
+
+        // Symmetrisen ikkunan keskikohdassa vaihe ei riipu huipun murto-osapoikkeamasta
+        const phase = wrap(Math.atan2(spec.im[bin], spec.re[bin]) + (2 * Math.PI * bin / spec.size) * (spec.size - 1) / 2);
+        return { freq: (bin + delta) * binWidth, amplitude, phase };
+    }
+
+    /**
+     * Seuraa osasävelen voimakkuutta ajan yli ja sovittaa siihen A/D/S-kertoimet
+     * suhteessa globaaliin ADSR:ään (sama esitys kuin kerroskohtaisissa verhokäyrissä).
+     */
+    function measureEnvelope(samples, sampleRate, freq, adsr) {
+        const bin = Math.round(freq / (sampleRate / ENV_FRAME_SIZE));
+        const levels = [];
+        for (let start = 0; start + ENV_FRAME_SIZE <= samples.length; start += ENV_HOP) {
+            const spec = spectrum(samples, start, ENV_FRAME_SIZE);
+            let level = 0;
+            for (let b = Math.max(1, bin - 1); b <= Math.min(ENV_FRAME_SIZE / 2 - 1, bin + 1); b++) {
+                level = Math.max(level, Math.hypot(spec.re[b], spec.im[b]));
+            }
+            levels.push(level);
+        }
+        if (levels.length < 3) return { attack: 1, decay: 1, sustain: 1 };
+
+        const peakIndex = levels.indexOf(Math.max(...levels));
+        const peak = levels[peakIndex] || 1;
+        const tail = levels.slice(Math.floor(levels.length * 0.6), Math.max(Math.floor(levels.length * 0.8), Math.floor(levels.length * 0.6) + 1));
+        const sustain = Math.min(1, tail.reduce((sum, v) => sum + v, 0) / tail.length / peak);
+        const decayTarget = sustain + 0.1 * (1 - sustain);
+        let decayEnd = levels.findIndex((v, i) => i > peakIndex && v / peak <= decayTarget);
+        if (decayEnd < 0) decayEnd = levels.length - 1;
+
+        const frameTime = ENV_HOP / sampleRate;
+        const clamp = (v, min, max) => Math.round(Math.min(max, Math.max(min, v)) * 100) / 100;
+        return {
+            attack: clamp((peakIndex * frameTime) / Math.max(adsr.attack, 0.001), 0.05, 4),
+            decay: clamp(((decayEnd - peakIndex) * frameTime) / Math.max(adsr.decay, 0.001), 0.05, 4),
+            sustain: adsr.sustain > 0 ? clamp(sustain / adsr.sustain, 0, 2) : 1
+        };
+    }
+
+    // --- JULKINEN RAJAPINTA ---
+
+    /**
+     * Analysoi AudioBufferin. options: { maxPartials, envelopes (bool), adsr: { attack, decay, sustain } }
+     * Palauttaa { fundamental, partials: [{ multiplier, amplitude, phaseDeg }], envelopes | null }.
+     * Heittää virheen, jos perustaajuutta ei löydy.
+     */
+    function analyze(audioBuffer, options) {
+        const samples = toMono(audioBuffer);
+        const sampleRate = audioBuffer.sampleRate;
+        const frameSize = Math.min(MAX_FRAME_SIZE, largestPowerOfTwo(samples.length));
+        if (frameSize < 2048) throw new Error('Sample is too short to analyze');
+
+        const loudest = findLoudestBlock(samples, 1024);
+        const start = Math.max(0, Math.min(loudest, samples.length - frameSize));
+        const fundamental = detectFundamental(samples, sampleRate, start);
+        if (!fundamental) throw new Error('No clear fundamental frequency found');
+
+        // Mitataan harmonisten kohdalta löytyvät huiput
+        const spec = spectrum(samples, start, frameSize);
+        const candidates = [];
+        for (let k = 1; k <= MAX_MULTIPLIER && k * fundamental < sampleRate / 2; k++) {
+            const peak = findPeak(spec, sampleRate, k * fundamental);
+            if (peak) candidates.push(peak);
+        }
+        const loudestPartial = Math.max(...candidates.map(p => p.amplitude));
+        const threshold = loudestPartial * Math.pow(10, SILENCE_DB / 20);
+
+        const strongest = candidates
+            .filter(p => p.amplitude > threshold)
+            .sort((a, b) => b.amplitude - a.amplitude)
+            .slice(0, options.maxPartials)
+            .sort((a, b) => a.freq - b.freq);
+
+        // Vaiheet suhteessa perussäveleen: aika-akseli siirretään kohtaan, jossa perussävelen vaihe on 0.
+        // Moottori soittaa a * sin(kwt - vaihe), joten sinin vaihe käännetään.
+        const reference = candidates[0];
+        const refSinePhase = reference.phase + Math.PI / 2;
+        const partials = strongest.map(p => {
+            const multiplier = Math.min(MAX_MULTIPLIER, Math.max(0.1, Math.round((p.freq / fundamental) * 10) / 10));
+            const sinePhase = p.phase + Math.PI / 2 - (p.freq / reference.freq) * refSinePhase;
+            return {
+                multiplier: multiplier,
+                amplitude: Math.round((p.amplitude / loudestPartial) * 100) / 100,
+                phaseDeg: Math.round(wrap(-sinePhase) * 180 / Math.PI) % 360,
+                freq: p.freq
+            };
+        }).filter(p => p.amplitude > 0);
+
+        const envelopes = options.envelopes ? partials.map(p => measureEnvelope(samples, sampleRate, p.freq, options.adsr)) : null;
+        return { fundamental, partials, envelopes };
+    }
+
+    // --- AALTOMUODON TUONTI ---
+
+    const readTag = (view, pos) => String.fromCharCode(view.getUint8(pos), view.getUint8(pos + 1), view.getUint8(pos + 2), view.getUint8(pos + 3));
+
+    /**
+     * Lukee WAV-tiedoston näytetaajuuden ja 'smpl'-lohkon (unity note ja ensimmäinen loop).
+     * Palauttaa { sampleRate, unityNote, loop: { start, end } sekunteina } tai null, jos lohkoa ei ole.
+     */
+    function readSmplChunk(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        if (view.byteLength < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') return null;
+        let fileRate = null, smpl = null;
+        for (let pos = 12; pos + 8 <= view.byteLength;) {
+            const id = readTag(view, pos);
+            const size = view.getUint32(pos + 4, true);
+            const body = pos + 8;
+            if (id === 'fmt ' && size >= 8) fileRate = view.getUint32(body + 4, true);
+            if (id === 'smpl' && size >= 36 && body + 36 <= view.byteLength) {
+                const loopCount = view.getUint32(body + 28, true);
+                smpl = {
+                    unityNote: view.getUint32(body + 12, true) + view.getUint32(body + 16, true) / 4294967296,
+                    loop: loopCount > 0 && body + 60 <= view.byteLength ? { start: view.getUint32(body + 44, true), end: view.getUint32(body + 48, true) } : null
+                };
+            }
+            pos = body + size + (size % 2);
+        }
+        if (!smpl || !fileRate) return null;
+        // Loop-pisteet näytteinä tiedoston omalla taajuudella, loppupiste mukaan lukien
+        const loop = smpl.loop && smpl.loop.end > smpl.loop.start ? { start: smpl.loop.start / fileRate, end: (smpl.loop.end + 1) / fileRate } : null;
+        return { sampleRate: fileRate, unityNote: smpl.unityNote, loop };
+    }
+
+    // Ensimmäinen nouseva nollakohta annetusta kohdasta eteenpäin (interpoloitu näyteindeksi)
+    function findRisingZero(samples, from, limit) {
+        for (let i = Math.max(1, from); i < Math.min(limit, samples.length); i++) {
+            if (samples[i - 1] < 0 && samples[i] >= 0) return i - 1 + samples[i - 1] / (samples[i - 1] - samples[i]);
+        }
+        return from;
+    }
+
+    /**
+     * Yhden jakson harmoniset kertoimet loop-alueelta: x(t) = sum(real[h] cos(h w t) + imag[h] sin(h w t)).
+     * Normalisoidaan niin, että jakson huippu on 1 (sama taso kuin siniaallolla).
+     */
+    function measureCycle(samples, sampleRate, freq, start, end) {
+        const first = Math.round(start * sampleRate), last = Math.min(samples.length, Math.round(end * sampleRate));
+        const count = Math.min(MAX_CYCLE_HARMONICS, Math.floor(sampleRate / 2 / freq));
+        const real = new Float32Array(count + 1), imag = new Float32Array(count + 1);
+        const n = last - first;
+        for (let h = 1; h <= count; h++) {
+            const step = 2 * Math.PI * h * freq / sampleRate;
+            let re = 0, im = 0;
+            for (let i = 0; i < n; i++) {
+                re += samples[first + i] * Math.cos(step * i);
+                im += samples[first + i] * Math.sin(step * i);
+            }
+            real[h] = 2 * re / n; imag[h] = 2 * im / n;
+        }
+        let peak = 0;
+        for (let s = 0; s < 512; s++) {
+            const x = (s / 512) * 2 * Math.PI;
+            let y = 0;
+            for (let h = 1; h <= count; h++) y += real[h] * Math.cos(h * x) + imag[h] * Math.sin(h * x);
+            peak = Math.max(peak, Math.abs(y));
+        }
+        if (peak <= 0) throw new Error('Waveform is silent');
+        for (let h = 1; h <= count; h++) { real[h] /= peak; imag[h] /= peak; }
+        return { real, imag };
+    }
+
+    /**
+     * Tulkitsee tuodun aaltomuodon moottorin lähteeksi.
+     * Lyhyt tiedosto = yksi jakso; pidemmästä haetaan sävelkorkeus ja jaksojen mittainen loop
+     * (tai käytetään tiedoston smpl-lohkon loopia). fileData = alkuperäinen WAV (ArrayBuffer) tai null.
+     * Palauttaa { baseFreq, loopStart, loopEnd, singleCycle, real, imag }. Heittää virheen, jos sävelkorkeutta ei löydy.
+     */
+    function analyzeWaveform(audioBuffer, fileData) {
+        const samples = toMono(audioBuffer);
+        const sampleRate = audioBuffer.sampleRate;
+        const smpl = fileData ? readSmplChunk(fileData) : null;
+        if (samples.length < 16) throw new Error('Waveform is too short');
+
+        if (audioBuffer.duration <= SINGLE_CYCLE_MAX && !(smpl && smpl.loop)) {
+            const baseFreq = 1 / audioBuffer.duration;
+            return { baseFreq, loopStart: 0, loopEnd: audioBuffer.duration, singleCycle: true, ...measureCycle(samples, sampleRate, baseFreq, 0, audioBuffer.duration) };
+        }
+
+        const loopRegion = smpl && smpl.loop && smpl.loop.end <= audioBuffer.duration + 0.001 ? smpl.loop : null;
+        const searchStart = loopRegion ? Math.floor(loopRegion.start * sampleRate) : findLoudestBlock(samples, 1024);
+        let baseFreq = detectFundamental(samples, sampleRate, searchStart);
+        if (!baseFreq && smpl) baseFreq = 440 * Math.pow(2, (smpl.unityNote - 69) / 12);
+        if (!baseFreq) throw new Error('No clear pitch found in the waveform');
+
+        if (loopRegion) {
+            // Mitataan jakso loopin sisältä kokonaisina jaksoina
+            const periods = Math.max(1, Math.floor((loopRegion.end - loopRegion.start) * baseFreq));
+            return { baseFreq, loopStart: loopRegion.start, loopEnd: loopRegion.end, singleCycle: false, ...measureCycle(samples, sampleRate, baseFreq, loopRegion.start, loopRegion.start + periods / baseFreq) };
+        }
+
+        // Loop alkaa nousevasta nollakohdasta ja kestää kokonaisen määrän jaksoja, jolloin sauma ei naksu
+        const period = sampleRate / baseFreq;
+        const start = findRisingZero(samples, searchStart, searchStart + Math.ceil(period) + 1);
+        const available = Math.floor((samples.length - 1 - start) / period);
+        if (available < 1) throw new Error('Waveform is too short to loop');
+        const periods = Math.min(available, Math.max(1, Math.round(MIN_LOOP_SECONDS * baseFreq)));
+        const loopStart = start / sampleRate;
+        const loopEnd = (start + periods * period) / sampleRate;
+        return { baseFreq, loopStart, loopEnd, singleCycle: false, ...measureCycle(samples, sampleRate, baseFreq, loopStart, loopEnd) };
+    }
+
+    return { analyze, analyzeWaveform, readSmplChunk, fft, detectFundamental, toMono };
+})();
+
+// Eksportoidaan globaalisti käyttöön
+window.SampleAnalysis = SampleAnalysis;
@@ -13,17 +13,153 @@ class DrumsAndSequencer {
         // Callbacks sisältää pääohjelman funktiot ja objektit
         this.callbacks = callbacks;
 
+        // --- Rumpuraidat ---
+        // Syntetisoidut äänet, joita raita käyttää kun samplea ei ole ladattu (label = askelruudun lyhenne)
+        // synth = muokattava syntikkamoottori (DRUM_SYNTH_PARAMS), open hat käyttää hatin parametreja
+        this.DRUM_VOICES = {
+            kick: { name: 'Kick', label: 'K', synth: 'kick' },
+            snare: { name: 'Snare', label: 'S', synth: 'snare' },
+            hat: { name: 'Hi-Hat', label: 'H', synth: 'hat' },
+            openHat: { name: 'Open Hat', label: 'OH', synth: 'hat' },
+            clap: { name: 'Clap', label: 'CP' },
+            tom: { name: 'Tom', label: 'T' },
+            ride: { name: 'Ride', label: 'R' }
+        };
+        // Rumpusyntikan parametrit moottoreittain; raidan synth-kentässä on arvot kaikille moottoreille,
+        // joten äänen vaihto ei hävitä säätöjä. Ajat sekunteina (raidan decay skaalaa ne), taajuudet hertseinä.
+        this.DRUM_SYNTH_PARAMS = {
+            kick: [
+                { param: 'pitchStart', label: 'Pitch Start', min: 40, max: 400, step: 1, value: 150 },
+                { param: 'pitchEnd', label: 'Pitch End', min: 20, max: 200, step: 1, value: 40 },
+                { param: 'sweep', label: 'Sweep', min: 0.005, max: 0.5, step: 0.005, value: 0.15 },
+                { param: 'decay', label: 'Decay', min: 0.05, max: 2, step: 0.01, value: 0.15 },
+                { param: 'click', label: 'Click', min: 0, max: 1, step: 0.01, value: 0 },
+                { param: 'drive', label: 'Drive', min: 0, max: 1, step: 0.01, value: 0 }
+            ],
+            snare: [
+                { param: 'tone', label: 'Tone/Noise', min: 0, max: 1, step: 0.01, value: 0 },
+                { param: 'bodyTune', label: 'Body Tune', min: 80, max: 400, step: 1, value: 180 },
+                { param: 'snappy', label: 'Snappy', min: 0.02, max: 0.5, step: 0.01, value: 0.1 }
+            ],
+            hat: [
+                { param: 'filter', label: 'Filter', min: 2000, max: 14000, step: 100, value: 8000 },
+                { param: 'resonance', label: 'Resonance', min: 0.1, max: 20, step: 0.1, value: 0.7 },
+                { param: 'metallic', label: 'Metallic', min: 0, max: 1, step: 0.01, value: 0 }
+            ]
+        };
+        this.driveCurves = new Map(); // Kickin drive-käyrät määrän mukaan
+
+        // Oletusraidat; id:t kick/snare/hat vastaavat vanhojen tiedostojen askelkenttiä
+        this.DEFAULT_DRUM_TRACKS = [{ id: 'kick', voice: 'kick' }, { id: 'snare', voice: 'snare' }, { id: 'hat', voice: 'hat', volume: 0.8 }];
+        this.drumTracks = [];
+        this.nextDrumTrackId = 1;
+        this.DEFAULT_DRUM_TRACKS.forEach(options => this.drumTracks.push(this.createDrumTrack(options)));
+
+        // Choke-ryhmät: saman ryhmän raidan isku vaimentaa ryhmän muiden raitojen soivat iskut (avoin/suljettu hihat)
+        this.CHOKE_GROUPS = 4;
+        this.CHOKE_FADE = 0.008;    // setTargetAtTime-aikavakio sekunteina
+        this.MAX_CHOKE_VOICES = 8;  // Raitaa kohden muistettavat iskut
+        this.chokeVoices = new Map(); // raidan id -> [{ gain, time }] ajastetut iskut, jotka voidaan vaimentaa
+
         // --- Tilamuuttujat ---
-        this.kickSampleBuffer = null;
-        this.snareSampleBuffer = null;
-        this.hatSampleBuffer = null;
 
         this.SEQ_LENGTH = 8;
         this.sequencerPlaying = false;
         this.currentSeqStep = 0;
         this.currentGateStep = 0;
         this.bpm = 120;
+        this.slidingNoteIds = [];  // Slide-askeleen pidetyt nuotit, joihin seuraavan askeleen nuotit liukuvat (indeksin mukaan)
+        this.slidingNoteLocks = {}; // Slide-askeleen nuottien lukot, niillä nuotit vapautetaan
+        this.tiedNotes = new Map(); // Yli askelrajan sidotut nuotit: tunniste -> loppuhetki (AudioContextin aika)
+
+        // Askeleen dynamiikka ja pituus
+        this.DEFAULT_STEP_VELOCITY = 100;
+        this.ACCENT_VELOCITY_BOOST = 27;
+        this.DEFAULT_GATE = 0.98;  // Askeleen pituuksina; yli 1 sitoo nuotin seuraaviin askeliin
+        this.MIN_GATE = 0.01;
+        this.MAX_GATE = 16;
+
+        // Groove: swing viivästää joka toista askelta (parilliset 16-osat), nudge siirtää yksittäistä askelta
+        // ja humanize lisää jokaiseen iskuun satunnaisen ajoitus- ja velocity-poikkeaman
+        this.MAX_NUDGE = 0.5;      // Askeleen pituuksina suuntaansa
+        this.swing = 0;            // Askeleen pituuksina (0.33 = triolishuffle)
+        this.swingDrums = true;
+        this.swingMelodic = true;
+        this.humanizeTiming = 0;   // Millisekunteina suuntaansa
+        this.humanizeVelocity = 0; // Velocity-yksikköinä suuntaansa
+
+        // Trigien ehdot: jokaisella askeleella on melodiselle osalle (notes) ja jokaiselle rumpuraidalle (raidan id) oma
+        // todennäköisyys, ehto (A:B = A:s kierros B:n kierroksen jaksossa, fill, first) ja ratchet-määrä
+        this.MAX_RATCHET = 8;
+        this.trigEditLane = 'notes';
+        this.patternLoop = 0;      // Kuvion kierros käynnistyksestä tai kuvion vaihdosta (first = 0)
+        this.fillActive = false;
+
+        // Mute/solo kaistoittain (notes tai raidan id): { kaista: true }, tallentuvat kuvion mukana
+        this.laneMutes = {};
+        this.laneSolos = {};
+
+        // Rytmigeneraattori kirjoittaa yhden kaistan (rumpuraita tai gate) Euclidean- tai tiheyssäännöllä,
+        // tai genrepohjan kaikille raidoille ja gateille. Pohjien iskut ovat tahdin 16-osia; ääni, jolle ei ole
+        // raitaa, soitetaan korvaavalla äänellä. Ennen generointia työkuvio tallennetaan kumoamista varten.
+        this.RHYTHM_TEMPLATES = {
+            fourOnFloor: {
+                name: 'Four on the Floor',
+                drums: { kick: [0, 4, 8, 12], clap: [4, 12], openHat: [2, 6, 10, 14] },
+                tremoloGate: [0, 2, 4, 6, 8, 10, 12, 14],
+                fxGate: [2, 6, 10, 14]
+            },
+            halfTime: {
+                name: 'Half-Time',
+                drums: { kick: [0, 3, 10], snare: [8], hat: [0, 2, 4, 6, 8, 10, 12, 14] },
+                tremoloGate: [0, 8],
+                fxGate: [8]
+            },
+            synthwave: {
+                name: 'Synthwave 80s',
+                drums: { kick: [0, 8, 10], snare: [4, 12], hat: [0, 2, 4, 6, 8, 10, 12, 14], tom: [13, 14, 15] },
+                tremoloGate: Array.from({ length: 16 }, (_, i) => i),
+                fxGate: [4, 12]
+            }
+        };
+        this.TEMPLATE_FALLBACK_VOICES = { openHat: 'hat', clap: 'snare', ride: 'hat', tom: 'snare' };
+        this.MAX_GENERATOR_UNDO = 16;
+        this.generatorUndo = []; // { patternIndex, pattern } ennen generointia
+
+        // Live-tallennus: soiton aikana soitettu nuotti kvantisoidaan lähimpään jo ajastettuun askeleeseen, velocity
+        // tulee MIDI:stä ja pituus (gate) pidon kestosta. Replace korvaa askeleen nuotit kierroksen ensimmäisellä
+        // nuotilla, overdub lisää sointuun. Step record siirtää valittua askelta, kun syötetyt näppäimet vapautetaan.
+        this.recordArmed = false;
+        this.recordMode = 'overdub';
+        this.countIn = false;
+        this.stepRecord = false;
+        this.COUNT_IN_BEATS = 4;
+        this.recordTimeline = [];            // { steps, step, time, duration, pass } viimeksi ajastetut askeleet (steps = soitettu kuvio)
+        this.recordingNotes = new Map();     // nuotin tunniste -> { steps, step, started, duration } pidetyt tallentuvat nuotit
+        this.recordReplacedPass = new Map(); // askel -> tahti (barCount), jolla replace on jo tyhjentänyt sen
+        this.countInClicks = [];             // Count-in-naksujen gainit, irrotetaan pysäytyksessä
+
+        // Parametrilukot: askeleen locks = { avain: arvo }, avaimet tulevat pääohjelmalta (getParamLockKey).
+        // Pidetyn askeleen aikana liikutettu säädin lukitaan askeleelle; soitossa lukko asetetaan askeleen
+        // alussa ja perusarvo palautetaan, kun vuoroon tulee askel ilman samaa lukkoa. Nuotin alkaessa
+        // luettavia säätimiä (isNoteParamLock) ei aseteta, vaan niiden lukot kulkevat nuottien mukana
+        this.heldLockStep = null;
+        this.holdSource = null;             // 'button' tai pointerId, jolla askelta painetaan
+        this.lockHoldSnapshot = new Map();  // säädin -> arvo ennen pitoa
+        this.lockHoldChanged = new Set();   // pidon aikana muutetut avaimet, palautetaan vapautuksessa
+        this.activeLocks = new Map();       // soitossa voimassa olevat lukot: avain -> perusarvo
+        this.applyingLocks = false;
         this.seqTimerId = null;
+
+        // Ennakkoajastus: askeleet ajastetaan audiokelloon LOOKAHEAD sekuntia etukäteen,
+        // ajastin vain herättää ajastuksen SCHEDULER_INTERVAL millisekunnin välein
+        this.LOOKAHEAD = 0.1;
+        this.SCHEDULER_INTERVAL = 25;
+        this.START_DELAY = 0.05;   // Ensimmäinen askel hieman tulevaisuuteen, ettei alku töksähdä
+        this.nextTickTime = 0;     // Seuraavan 16-osan alkuhetki (AudioContextin aika)
+        this.playheadQueue = [];   // { step, time } - requestAnimationFrame näyttää askeleen sen soidessa
+        this.playheadFrameId = null;
+        this.pendingCallbacks = new Set(); // Audiokelloon sidotut UI-kutsut (esim. morph), perutaan pysäytyksessä
         
         this.sequencerPattern = [];
         this.seqStepElements = []; // DOM elementit
@@ -32,6 +168,23 @@ class DrumsAndSequencer {
         this.tremoloGatePattern = Array(16).fill(false);
         this.fxGatePattern = Array(16).fill(false);
 
+        // --- Pattern-pankit ja song mode ---
+        // Työkuvio (sequencerPattern + gatet) on aina muokattavana; pankkipaikka päivitetään siitä
+        // ennen vaihtoa, kopiointia ja tallennusta (storeCurrentPattern)
+        this.PATTERN_BANKS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+        this.PATTERNS_PER_BANK = 16;
+        this.patterns = Array(this.PATTERN_BANKS.length * this.PATTERNS_PER_BANK).fill(null); // { length, steps, tremoloGate, fxGate, mutes, solos } tai null
+        this.currentPatternIndex = 0;
+        this.queuedPatternIndex = null; // Vaihtuu seuraavan tahdin alussa
+        this.pendingPattern = null;     // { index, time, state } ajastettu mutta vielä soimaton vaihto (katso advanceBar)
+        this.visibleBank = 0;
+        this.patternClipboard = null;
+        this.songMode = false;
+        this.songList = [];   // { pattern, repeats } soittojärjestyksessä
+        this.songPosition = 0;
+        this.songRepeat = 0;  // Nykyisen merkinnän jo soitetut toistot
+        this.barCount = 0;
+
         // --- Alustus ---
         this.initializeSequencerPattern();
     }
@@ -45,6 +198,14 @@ class DrumsAndSequencer {
         this.initializeSequencerUI();
         this.initializeGateUI(this.ui.tremoloGateStepsContainer, this.tremoloGatePattern);
         this.initializeGateUI(this.ui.fxGateStepsContainer, this.fxGatePattern);
+        this.initializePatternBankUI();
+        this.initializeDrumTrackUI();
+        this.initializeLaneMixerUI();
+        this.updateTrigLaneOptions();
+        this.updateGeneratorLaneOptions();
+        Object.entries(this.DRUM_VOICES).forEach(([voice, info]) => this.ui.newDrumTrackVoice.appendChild(new Option(info.name, voice)));
+        Object.entries(this.RHYTHM_TEMPLATES).forEach(([key, template]) => this.ui.seqGenTemplate.appendChild(new Option(template.name, key)));
+        this.updateGeneratorUI();
 
         // Aseta BPM UI:n perusteella
         this.bpm = parseInt(this.ui.bpmSlider.value);
@@ -62,31 +223,68 @@ class DrumsAndSequencer {
         this.ui.clearAllSeqBtn.addEventListener('click', () => this.clearAllSteps());
         this.ui.randomizeSequencerBtn.addEventListener('click', () => this.randomizeSequencer());
 
-        // Sample Loaders (Manuaalinen lataus)
-        this.ui.loadKickSample.addEventListener('change', (e) => this.loadSample(e.target.files[0], 'kick', this.ui.kickSampleName));
-        this.ui.loadSnareSample.addEventListener('change', (e) => this.loadSample(e.target.files[0], 'snare', this.ui.snareSampleName));
-        this.ui.loadHatSample.addEventListener('change', (e) => this.loadSample(e.target.files[0], 'hat', this.ui.hatSampleName));
+        // Valitun askeleen velocity, accent ja gate
+        this.ui.seqStepVelocity.addEventListener('input', (e) => this.editSelectedStep('velocity', parseInt(e.target.value)));
+        this.ui.seqStepGate.addEventListener('input', (e) => this.editSelectedStep('gate', parseFloat(e.target.value)));
+        this.ui.seqStepNudge.addEventListener('input', (e) => this.editSelectedStep('nudge', parseFloat(e.target.value)));
+        this.ui.seqHoldStep.addEventListener('click', () => {
+            if (this.heldLockStep !== null) this.releaseHeldStep();
+            else if (this.currentEditStepIndex !== null) this.holdStep(this.currentEditStepIndex, 'button');
+        });
+        this.ui.seqClearLocks.addEventListener('click', () => this.editSelectedStep('locks', {}));
+        document.addEventListener('input', (e) => this.onParamLockInput(e.target), true);
+        window.addEventListener('pointerup', (e) => { if (this.holdSource === e.pointerId) this.releaseHeldStep(); });
+        window.addEventListener('pointercancel', (e) => { if (this.holdSource === e.pointerId) this.releaseHeldStep(); });
+        this.ui.seqTrigLane.addEventListener('change', (e) => { this.trigEditLane = e.target.value; this.updateStepEditorUI(); });
+        this.ui.seqTrigProbability.addEventListener('input', (e) => this.editSelectedTrig('probability', parseFloat(e.target.value)));
+        this.ui.seqTrigCondition.addEventListener('change', (e) => this.editSelectedTrig('condition', e.target.value));
+        this.ui.seqTrigRatchet.addEventListener('change', (e) => this.editSelectedTrig('ratchet', parseInt(e.target.value)));
+        this.ui.seqStepAccent.addEventListener('click', () => {
+            if (this.currentEditStepIndex !== null) this.editSelectedStep('accent', !this.sequencerPattern[this.currentEditStepIndex].accent);
+        });
 
-        // Sample Clear Buttons
-        this.ui.clearKickSampleBtn.addEventListener('click', () => { this.kickSampleBuffer = null; this.resetSampleUI(this.ui.kickSampleName, this.ui.loadKickSample); });
-        this.ui.clearSnareSampleBtn.addEventListener('click', () => { this.snareSampleBuffer = null; this.resetSampleUI(this.ui.snareSampleName, this.ui.loadSnareSample); });
-        this.ui.clearHatSampleBtn.addEventListener('click', () => { this.hatSampleBuffer = null; this.resetSampleUI(this.ui.hatSampleName, this.ui.loadHatSample); });
+        // Swing & Humanize
+        this.ui.seqSwing.addEventListener('input', (e) => { this.swing = parseFloat(e.target.value); });
+        this.ui.seqSwingDrums.addEventListener('click', () => { this.swingDrums = !this.swingDrums; this.updateGrooveUI(); });
+        this.ui.seqSwingMelodic.addEventListener('click', () => { this.swingMelodic = !this.swingMelodic; this.updateGrooveUI(); });
+        this.ui.seqHumanizeTime.addEventListener('input', (e) => { this.humanizeTiming = parseInt(e.target.value); });
+        this.ui.seqHumanizeVelocity.addEventListener('input', (e) => { this.humanizeVelocity = parseInt(e.target.value); });
+        this.ui.seqFill.addEventListener('click', () => { this.fillActive = !this.fillActive; this.updateGrooveUI(); });
+
+        // Rhythm Generator
+        this.ui.seqGenMode.addEventListener('change', () => this.updateGeneratorUI());
+        this.ui.seqGenerateBtn.addEventListener('click', () => this.generateRhythm());
+        this.ui.seqGenUndoBtn.addEventListener('click', () => this.undoGeneration());
+
+        // Recording
+        this.ui.seqRecord.addEventListener('click', () => { this.recordArmed = !this.recordArmed; this.updateRecordUI(); });
+        this.ui.seqRecordMode.addEventListener('change', (e) => { this.recordMode = e.target.value; });
+        this.ui.seqCountIn.addEventListener('click', () => { this.countIn = !this.countIn; this.updateRecordUI(); });
+        this.ui.seqStepRecord.addEventListener('click', () => this.setStepRecord(!this.stepRecord));
+
+        // Pattern Banks & Song Mode
+        this.ui.copyPatternBtn.addEventListener('click', () => this.copyPattern());
+        this.ui.pastePatternBtn.addEventListener('click', () => this.pastePattern());
+        this.ui.toggleSongMode.addEventListener('click', () => this.setSongMode(!this.songMode));
+        this.ui.addSongEntryBtn.addEventListener('click', () => this.addSongEntry(this.currentPatternIndex));
+        this.ui.clearSongBtn.addEventListener('click', () => { this.songList = []; this.updateSongUI(); });
+
+        // Drum Tracks
+        this.ui.addDrumTrackBtn.addEventListener('click', () => this.addDrumTrack(this.ui.newDrumTrackVoice.value));
 
         // Volume Sliders
-        this.ui.kickVolume.addEventListener('input', (e) => this.callbacks.mixerNodes.kick.gain.setTargetAtTime(parseFloat(e.target.value), this.audioContext.currentTime, 0.01));
-        this.ui.snareVolume.addEventListener('input', (e) => this.callbacks.mixerNodes.snare.gain.setTargetAtTime(parseFloat(e.target.value), this.audioContext.currentTime, 0.01));
-        this.ui.hatVolume.addEventListener('input', (e) => this.callbacks.mixerNodes.hat.gain.setTargetAtTime(parseFloat(e.target.value), this.audioContext.currentTime, 0.01));
         this.ui.sequencerVolume.addEventListener('input', (e) => this.callbacks.mixerNodes.sequencer.gain.setTargetAtTime(parseFloat(e.target.value), this.audioContext.currentTime, 0.01));
     }
 
     /**
-     * Yrittää ladata kick.wav, snare.wav ja hi-hat.wav tiedostot automaattisesti juuresta.
+     * Yrittää ladata kick.wav, snare.wav ja hi-hat.wav tiedostot automaattisesti juuresta
+     * oletusraidoille (id kick / snare / hat), joilla ei vielä ole samplea.
      */
     async loadSamplesFromRoot() {
         const samplesToLoad = [
-            { url: 'kick.wav', type: 'kick', ui: this.ui.kickSampleName },
-            { url: 'snare.wav', type: 'snare', ui: this.ui.snareSampleName },
-            { url: 'hi-hat.wav', type: 'hat', ui: this.ui.hatSampleName }
+            { url: 'kick.wav', track: 'kick' },
+            { url: 'snare.wav', track: 'snare' },
+            { url: 'hi-hat.wav', track: 'hat' }
         ];
 
         for (const sample of samplesToLoad) {
@@ -96,12 +294,11 @@ class DrumsAndSequencer {
                     const arrayBuffer = await response.arrayBuffer();
                     const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
                     
-                    if (sample.type === 'kick') this.kickSampleBuffer = audioBuffer;
-                    else if (sample.type === 'snare') this.snareSampleBuffer = audioBuffer;
-                    else if (sample.type === 'hat') this.hatSampleBuffer = audioBuffer;
-
-                    sample.ui.textContent = sample.url;
-                    sample.ui.style.color = 'var(--color-neon-green)';
+                    const track = this.drumTracks.find(t => t.id === sample.track);
+                    if (!track || track.sample) continue;
+                    track.sample = audioBuffer;
+                    track.sampleName = sample.url;
+                    this.updateDrumTrackUI(track);
                     console.log(`Auto-loaded default sample: ${sample.url}`);
                 } else {
                     console.log(`Default sample ${sample.url} not found in root. Using synthesis.`);
@@ -113,132 +310,596 @@ class DrumsAndSequencer {
     }
 
     // --- Äänen tuotto (Drum Synthesis & Samples) ---
+    // time = AudioContextin aika, jolloin isku soi (sekvensseri ajastaa etukäteen), level = iskun voimakkuus (1 = normaali)
+    // Syntetisoidut äänet: pitch = virityksen taajuuskerroin, decay = pituuden kerroin
 
-    createKickSound() {
-        const time = this.audioContext.currentTime;
-        if (this.kickSampleBuffer) {
-            const source = this.audioContext.createBufferSource();
-            source.buffer = this.kickSampleBuffer;
-            source.connect(this.callbacks.mixerNodes.kick);
-            source.start(time);
-        } else {
-            const osc = this.audioContext.createOscillator();
-            const gain = this.audioContext.createGain();
-            osc.connect(gain);
-            gain.connect(this.callbacks.mixerNodes.kick);
-            osc.frequency.setValueAtTime(150, time);
-            gain.gain.setValueAtTime(1.0, time);
-            osc.frequency.exponentialRampToValueAtTime(0.01, time + 0.15);
-            gain.gain.exponentialRampToValueAtTime(0.001, time + 0.15);
-            osc.start(time);
-            osc.stop(time + 0.2);
+    /**
+     * Choke-ryhmän raidan isku: vaimentaa ryhmän muiden raitojen ennen tätä alkaneet iskut ja palauttaa
+     * iskulle oman vahvistuksen, jotta myöhempi isku voi vaimentaa sen. Iskut ajastetaan aikajärjestyksessä.
+     */
+    createChokeOutput(track, time, level) {
+        this.drumTracks.forEach(other => {
+            if (other.id === track.id || other.choke !== track.choke) return;
+            const voices = this.chokeVoices.get(other.id) || [];
+            voices.filter(voice => voice.time < time).forEach(voice => {
+                voice.gain.gain.cancelScheduledValues(time);
+                voice.gain.gain.setTargetAtTime(0, time, this.CHOKE_FADE);
+            });
+            this.chokeVoices.set(other.id, voices.filter(voice => voice.time >= time));
+        });
+        const gain = this.audioContext.createGain();
+        gain.gain.setValueAtTime(level != null ? level : 1, time);
+        gain.connect(track.nodes.gain);
+        const voices = this.chokeVoices.get(track.id) || [];
+        voices.push({ gain: gain, time: time });
+        this.chokeVoices.set(track.id, voices.slice(-this.MAX_CHOKE_VOICES));
+        return gain;
+    }
+
+    // Iskun oma vahvistus humanize-velocityä varten; normaali taso kytketään suoraan raidan kanavaan
+    createHitOutput(destination, time, level) {
+        if (level == null || level === 1) return destination;
+        const gain = this.audioContext.createGain();
+        gain.gain.setValueAtTime(level, time);
+        gain.connect(destination);
+        return gain;
+    }
+
+    // Soittaa raidan iskun: sample jos ladattu, muuten raidan syntetisoitu ääni
+    playDrumTrack(track, time, level) {
+        const output = track.choke ? this.createChokeOutput(track, time, level) : this.createHitOutput(track.nodes.gain, time, level);
+        const pitch = Math.pow(2, track.tune / 12);
+        if (track.sample) {
+            this.playDrumSample(track.sample, output, time, pitch, track.decay);
+            return;
+        }
+        switch (track.voice) {
+            case 'kick': this.createKickSound(output, time, pitch, track.decay, track.synth.kick); break;
+            case 'snare': this.createSnareSound(output, time, pitch, track.decay, track.synth.snare); break;
+            case 'hat': this.createHatSound(output, time, pitch, 0.05 * track.decay, track.synth.hat); break;
+            case 'openHat': this.createHatSound(output, time, pitch, 0.35 * track.decay, track.synth.hat); break;
+            case 'clap': this.createClapSound(output, time, pitch, track.decay); break;
+            case 'tom': this.createTomSound(output, time, pitch, track.decay); break;
+            case 'ride': this.createRideSound(output, time, pitch, track.decay); break;
         }
     }
 
-    createSnareSound() {
-        const time = this.audioContext.currentTime;
-        if (this.snareSampleBuffer) {
-            const source = this.audioContext.createBufferSource();
-            source.buffer = this.snareSampleBuffer;
-            source.connect(this.callbacks.mixerNodes.snare);
-            source.start(time);
+    // Decay alle 1 lyhentää samplea häivyttämällä sen loppuosan, viritys muuttaa toistonopeutta
+    playDrumSample(buffer, output, time, pitch, decay) {
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.setValueAtTime(pitch, time);
+        if (decay < 1) {
+            const length = buffer.duration / pitch * decay;
+            const fade = this.audioContext.createGain();
+            fade.gain.setValueAtTime(1.0, time);
+            fade.gain.linearRampToValueAtTime(0, time + length);
+            fade.connect(output);
+            source.connect(fade);
+            source.stop(time + length);
         } else {
-            const noiseBuffer = this.audioContext.createBuffer(1, this.audioContext.sampleRate * 0.2, this.audioContext.sampleRate);
-            const output = noiseBuffer.getChannelData(0);
-            for (let i = 0; i < noiseBuffer.length; i++) output[i] = Math.random() * 2 - 1;
-            
-            const noiseSource = this.audioContext.createBufferSource();
-            noiseSource.buffer = noiseBuffer;
-            const noiseFilter = this.audioContext.createBiquadFilter();
-            noiseFilter.type = 'highpass';
-            noiseFilter.frequency.setValueAtTime(1000, time);
-            const noiseGain = this.audioContext.createGain();
-            
-            noiseSource.connect(noiseFilter);
-            noiseFilter.connect(noiseGain);
-            noiseGain.connect(this.callbacks.mixerNodes.snare);
-            
-            noiseGain.gain.setValueAtTime(1.0, time);
-            noiseGain.gain.exponentialRampToValueAtTime(0.01, time + 0.1);
-            noiseSource.start(time);
-            noiseSource.stop(time + 0.15);
+            source.connect(output);
         }
+        source.start(time);
     }
 
-    createHatSound() {
-        const time = this.audioContext.currentTime;
-        if (this.hatSampleBuffer) {
-            const source = this.audioContext.createBufferSource();
-            source.buffer = this.hatSampleBuffer;
-            source.connect(this.callbacks.mixerNodes.hat);
-            source.start(time);
-        } else {
-            const noiseBuffer = this.audioContext.createBuffer(1, this.audioContext.sampleRate * 0.1, this.audioContext.sampleRate);
-            const output = noiseBuffer.getChannelData(0);
-            for (let i = 0; i < noiseBuffer.length; i++) output[i] = Math.random() * 2 - 1;
+    createNoiseBuffer(duration) {
+        const noiseBuffer = this.audioContext.createBuffer(1, Math.max(1, Math.floor(this.audioContext.sampleRate * duration)), this.audioContext.sampleRate);
+        const output = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < noiseBuffer.length; i++) output[i] = Math.random() * 2 - 1;
+        return noiseBuffer;
+    }
 
+    // Kick: siniaallon pitch-pyyhkäisy, valinnainen klikki (kohinapurske) ja drive (tanh-saturaatio)
+    createKickSound(output, time, pitch, decay, params) {
+        const length = params.decay * decay;
+        let destination = output;
+        if (params.drive > 0) {
+            const shaper = this.audioContext.createWaveShaper();
+            shaper.curve = this.getDriveCurve(params.drive);
+            shaper.connect(output);
+            destination = shaper;
+        }
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        osc.connect(gain);
+        gain.connect(destination);
+        osc.frequency.setValueAtTime(params.pitchStart * pitch, time);
+        osc.frequency.exponentialRampToValueAtTime(params.pitchEnd * pitch, time + params.sweep);
+        gain.gain.setValueAtTime(1.0, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + length);
+        osc.start(time);
+        osc.stop(time + length * 1.3);
+        if (params.click > 0) this.createNoiseHit(this.createHitOutput(destination, time, params.click), time, 'highpass', 3000, 0.01);
+    }
+
+    getDriveCurve(amount) {
+        const key = Math.round(amount * 100);
+        if (!this.driveCurves.has(key)) {
+            const k = 1 + key / 5;
+            const curve = new Float32Array(1024);
+            for (let i = 0; i < curve.length; i++) {
+                const x = (i / (curve.length - 1)) * 2 - 1;
+                curve[i] = Math.tanh(k * x) / Math.tanh(k);
+            }
+            this.driveCurves.set(key, curve);
+        }
+        return this.driveCurves.get(key);
+    }
+
+    // Snare: vireinen runko (kolmioaalto) ja ylipäästetty kohina; tone säätää niiden suhteen
+    createSnareSound(output, time, pitch, decay, params) {
+        if (params.tone > 0) {
+            const body = this.audioContext.createOscillator();
+            const bodyGain = this.audioContext.createGain();
+            const bodyLength = 0.15 * decay;
+            body.type = 'triangle';
+            body.connect(bodyGain);
+            bodyGain.connect(output);
+            body.frequency.setValueAtTime(params.bodyTune * pitch * 1.5, time);
+            body.frequency.exponentialRampToValueAtTime(params.bodyTune * pitch, time + 0.02);
+            bodyGain.gain.setValueAtTime(params.tone, time);
+            bodyGain.gain.exponentialRampToValueAtTime(0.001, time + bodyLength);
+            body.start(time);
+            body.stop(time + bodyLength * 1.3);
+        }
+        if (params.tone < 1) this.createNoiseHit(this.createHitOutput(output, time, 1 - params.tone), time, 'highpass', 1000 * pitch, params.snappy * decay);
+    }
+
+    // Hat: kohina ja/tai metalliset rengasmoduloidut kanttiaaltoparit resonoivan ylipäästön läpi
+    createHatSound(output, time, pitch, length, params) {
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.setValueAtTime(params.filter * pitch, time);
+        filter.Q.setValueAtTime(params.resonance, time);
+        const gain = this.audioContext.createGain();
+        filter.connect(gain);
+        gain.connect(output);
+        gain.gain.setValueAtTime(1.0, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + length);
+        const end = time + length * 1.5;
+
+        if (params.metallic < 1) {
             const noiseSource = this.audioContext.createBufferSource();
-            noiseSource.buffer = noiseBuffer;
-            const noiseFilter = this.audioContext.createBiquadFilter();
-            noiseFilter.type = 'highpass';
-            noiseFilter.frequency.value = 8000;
-            const noiseGain = this.audioContext.createGain();
-
-            noiseSource.connect(noiseFilter);
-            noiseFilter.connect(noiseGain);
-            noiseGain.connect(this.callbacks.mixerNodes.hat);
-
-            noiseGain.gain.setValueAtTime(1.0, time);
-            noiseGain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+            noiseSource.buffer = this.createNoiseBuffer(length * 1.5);
+            noiseSource.connect(this.createHitOutput(filter, time, 1 - params.metallic));
             noiseSource.start(time);
-            noiseSource.stop(time + 0.1);
+            noiseSource.stop(end);
+        }
+        if (params.metallic > 0) {
+            const metal = this.createHitOutput(filter, time, params.metallic * 0.5);
+            [[205, 369], [304, 522], [540, 800]].forEach(([carrierFreq, modulatorFreq]) => {
+                const carrier = this.audioContext.createOscillator();
+                const modulator = this.audioContext.createOscillator();
+                const ring = this.audioContext.createGain();
+                carrier.type = 'square';
+                modulator.type = 'square';
+                carrier.frequency.setValueAtTime(carrierFreq * 2 * pitch, time);
+                modulator.frequency.setValueAtTime(modulatorFreq * 2 * pitch, time);
+                ring.gain.value = 0; // Modulaattori ohjaa vahvistusta: kantoaalto x modulaattori
+                carrier.connect(ring);
+                modulator.connect(ring.gain);
+                ring.connect(metal);
+                [carrier, modulator].forEach(osc => { osc.start(time); osc.stop(end); });
+            });
         }
     }
 
-    loadSample(file, targetType, nameDisplayElement) {
+    // Suodatettu kohinaisku (snare, kickin klikki): length = häivytyksen pituus sekunteina
+    createNoiseHit(output, time, filterType, frequency, length) {
+        const noiseSource = this.audioContext.createBufferSource();
+        noiseSource.buffer = this.createNoiseBuffer(length * 2);
+        const noiseFilter = this.audioContext.createBiquadFilter();
+        noiseFilter.type = filterType;
+        noiseFilter.frequency.setValueAtTime(frequency, time);
+        const noiseGain = this.audioContext.createGain();
+
+        noiseSource.connect(noiseFilter);
+        noiseFilter.connect(noiseGain);
+        noiseGain.connect(output);
+
+        noiseGain.gain.setValueAtTime(1.0, time);
+        noiseGain.gain.exponentialRampToValueAtTime(0.001, time + length);
+        noiseSource.start(time);
+        noiseSource.stop(time + length * 1.5);
+    }
+
+    // Clap: kolme nopeaa kohinapurskausta ja lyhyt häntä kaistanpäästösuotimen läpi
+    createClapSound(output, time, pitch, decay) {
+        const tail = 0.15 * decay;
+        const noiseSource = this.audioContext.createBufferSource();
+        noiseSource.buffer = this.createNoiseBuffer(0.03 + tail * 1.5);
+        const noiseFilter = this.audioContext.createBiquadFilter();
+        noiseFilter.type = 'bandpass';
+        noiseFilter.frequency.setValueAtTime(1200 * pitch, time);
+        noiseFilter.Q.setValueAtTime(1.5, time);
+        const noiseGain = this.audioContext.createGain();
+
+        noiseSource.connect(noiseFilter);
+        noiseFilter.connect(noiseGain);
+        noiseGain.connect(output);
+
+        [0, 0.01, 0.02].forEach(offset => {
+            noiseGain.gain.setValueAtTime(1.0, time + offset);
+            noiseGain.gain.exponentialRampToValueAtTime(0.1, time + offset + 0.009);
+        });
+        noiseGain.gain.setValueAtTime(0.8, time + 0.03);
+        noiseGain.gain.exponentialRampToValueAtTime(0.001, time + 0.03 + tail);
+        noiseSource.start(time);
+        noiseSource.stop(time + 0.03 + tail * 1.5);
+    }
+
+    createTomSound(output, time, pitch, decay) {
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        osc.type = 'triangle';
+        osc.connect(gain);
+        gain.connect(output);
+        osc.frequency.setValueAtTime(220 * pitch, time);
+        osc.frequency.exponentialRampToValueAtTime(90 * pitch, time + 0.3 * decay);
+        gain.gain.setValueAtTime(1.0, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.35 * decay);
+        osc.start(time);
+        osc.stop(time + 0.4 * decay);
+    }
+
+    // Ride: epäharmoniset kanttiaallot (808-tyyliin) ylipäästön läpi, pitkä häntä
+    createRideSound(output, time, pitch, decay) {
+        const length = 0.9 * decay;
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.setValueAtTime(6000 * pitch, time);
+        const gain = this.audioContext.createGain();
+        filter.connect(gain);
+        gain.connect(output);
+        gain.gain.setValueAtTime(0.4, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + length);
+        [263, 400, 421, 474, 587, 845].forEach(frequency => {
+            const osc = this.audioContext.createOscillator();
+            osc.type = 'square';
+            osc.frequency.setValueAtTime(frequency * 2 * pitch, time);
+            osc.connect(filter);
+            osc.start(time);
+            osc.stop(time + length);
+        });
+    }
+
+    // --- Drum Tracks ---
+    // Raita = { id, name, voice, sample, sampleName, tune (puolisävelaskelia), decay, pan, volume, choke (0 = ei ryhmää), synth, nodes };
+    // jokaisella raidalla on oma mikserikanava (gain -> panner -> rumpuväylä)
+
+    createDrumTrack(options) {
+        const voice = this.DRUM_VOICES[options.voice] ? options.voice : 'kick';
+        let id = options.id;
+        while (!id || this.drumTracks.some(t => t.id === id)) id = `track${this.nextDrumTrackId++}`;
+        const track = {
+            id: id,
+            name: options.name || this.DRUM_VOICES[voice].name,
+            voice: voice,
+            sample: options.sample || null,
+            sampleName: options.sample ? (options.sampleName || 'Loaded Sample') : null,
+            tune: options.tune || 0,
+            decay: options.decay || 1,
+            pan: options.pan || 0,
+            volume: options.volume != null ? parseFloat(options.volume) : 1.0,
+            // Hihatit ovat oletuksena samassa ryhmässä, jolloin suljettu hihat katkaisee avoimen
+            choke: options.choke != null ? parseInt(options.choke) || 0 : (voice === 'hat' || voice === 'openHat' ? 1 : 0),
+            synth: this.createDrumSynthParams(options.synth),
+            nodes: { gain: this.audioContext.createGain(), panner: this.audioContext.createStereoPanner() }
+        };
+        track.nodes.gain.gain.value = track.volume;
+        track.nodes.panner.pan.value = track.pan;
+        track.nodes.gain.connect(track.nodes.panner);
+        track.nodes.panner.connect(this.callbacks.mixerNodes.drums);
+        return track;
+    }
+
+    // { kick: {...}, snare: {...}, hat: {...} } oletuksilla täydennettynä
+    createDrumSynthParams(saved) {
+        return Object.fromEntries(Object.entries(this.DRUM_SYNTH_PARAMS).map(([engine, specs]) => {
+            const values = (saved && saved[engine]) || {};
+            return [engine, Object.fromEntries(specs.map(spec => [spec.param, values[spec.param] != null ? parseFloat(values[spec.param]) : spec.value]))];
+        }));
+    }
+
+    // Korvaa raitalistan (alkiot kuten createDrumTrackin options); vanhat mikserikanavat irrotetaan
+    setDrumTracks(trackOptions) {
+        this.drumTracks.forEach(track => track.nodes.panner.disconnect());
+        this.drumTracks = [];
+        trackOptions.forEach(options => this.drumTracks.push(this.createDrumTrack(options)));
+        this.refreshDrumTracks();
+    }
+
+    refreshDrumTracks() {
+        if (!this.ui.drumTrackList) return; // Ennen init()-kutsua UI:ta ei vielä ole
+        this.initializeDrumTrackUI();
+        this.initializeLaneMixerUI();
+        this.initializeSequencerUI();
+        this.updateTrigLaneOptions();
+        this.updateGeneratorLaneOptions();
+        this.updateStepEditorUI();
+    }
+
+    addDrumTrack(voice) {
+        this.drumTracks.push(this.createDrumTrack({ voice: voice }));
+        this.refreshDrumTracks();
+    }
+
+    // Poistaa raidan ja sen iskut kaikista kuvioista
+    removeDrumTrack(track) {
+        if (!confirm(`Remove drum track "${track.name}"?`)) return;
+        track.nodes.panner.disconnect();
+        this.drumTracks = this.drumTracks.filter(t => t !== track);
+        this.chokeVoices.delete(track.id);
+        const steps = [this.sequencerPattern, ...this.patterns.filter(p => p).map(p => p.steps)].flat();
+        steps.forEach(step => {
+            delete step.drums[track.id];
+            delete step.trigs[track.id];
+        });
+        [this.laneMutes, this.laneSolos, ...this.patterns.filter(p => p).flatMap(p => [p.mutes, p.solos])].forEach(lanes => delete lanes[track.id]);
+        this.clearGeneratorUndo(); // Kumottava kuvio palauttaisi poistetun raidan iskut
+        this.refreshDrumTracks();
+    }
+
+    setDrumTrackParam(track, param, value) {
+        track[param] = value;
+        const now = this.audioContext.currentTime;
+        if (param === 'volume') track.nodes.gain.gain.setTargetAtTime(value, now, 0.01);
+        if (param === 'pan') track.nodes.panner.pan.setTargetAtTime(value, now, 0.01);
+        this.updateDrumTrackUI(track);
+    }
+
+    initializeDrumTrackUI() {
+        const container = this.ui.drumTrackList;
+        container.innerHTML = '';
+        const voiceOptions = Object.entries(this.DRUM_VOICES).map(([voice, info]) => `<option value="${voice}">${info.name}</option>`).join('');
+        const chokeOptions = Array.from({ length: this.CHOKE_GROUPS + 1 }, (_, group) => `<option value="${group}">${group ? `Choke ${group}` : 'No Choke'}</option>`).join('');
+        this.drumTracks.forEach(track => {
+            const prefix = `drum-${track.id}`;
+            const row = document.createElement('div');
+            row.className = 'drum-track';
+            row.dataset.track = track.id;
+            row.innerHTML = `
+                <div class="drum-sample-loader">
+                    <input type="text" class="drum-track-name" value="" title="Track name">
+                    <select class="drum-track-voice" title="Synth voice (used when no sample is loaded)">${voiceOptions}</select>
+                    <select class="drum-track-choke" title="Choke group: a hit fades out the other tracks of the same group">${chokeOptions}</select>
+                    <input type="file" class="drum-track-file" accept=".wav">
+                    <button class="drum-track-clear">Clear</button>
+                    <span class="drum-track-sample">Default</span>
+                    <button class="drum-track-remove" title="Remove track">✖</button>
+                </div>
+                <div class="control-row">
+                    <label for="${prefix}-tune">Tune:</label><input type="range" id="${prefix}-tune" min="-12" max="12" step="1">
+                    <span id="${prefix}-tuneVal" class="value-display"></span>
+                    <label for="${prefix}-decay">Decay:</label><input type="range" id="${prefix}-decay" min="0.1" max="3" step="0.05">
+                    <span id="${prefix}-decayVal" class="value-display"></span>
+                </div>
+                <div class="control-row">
+                    <label for="${prefix}-pan">Pan:</label><input type="range" id="${prefix}-pan" min="-1" max="1" step="0.01">
+                    <span id="${prefix}-panVal" class="value-display"></span>
+                    <label for="${prefix}-volume">Volume:</label><input type="range" id="${prefix}-volume" min="0" max="1.5" step="0.01">
+                    <span id="${prefix}-volumeVal" class="value-display"></span>
+                </div>`;
+            // Syntikkapaneeli näkyy äänille, joilla on muokattava moottori (käytössä kun samplea ei ole)
+            const engine = this.DRUM_VOICES[track.voice].synth;
+            if (engine) {
+                const panel = document.createElement('div');
+                panel.className = 'control-row drum-synth-panel';
+                panel.innerHTML = this.DRUM_SYNTH_PARAMS[engine].map(spec => `
+                    <label for="${prefix}-${engine}-${spec.param}">${spec.label}:</label><input type="range" id="${prefix}-${engine}-${spec.param}" min="${spec.min}" max="${spec.max}" step="${spec.step}">
+                    <span id="${prefix}-${engine}-${spec.param}Val" class="value-display"></span>`).join('');
+                row.appendChild(panel);
+            }
+            container.appendChild(row);
+
+            const nameInput = row.querySelector('.drum-track-name');
+            nameInput.value = track.name;
+            nameInput.addEventListener('change', (e) => {
+                track.name = e.target.value.trim() || this.DRUM_VOICES[track.voice].name;
+                this.refreshDrumTracks();
+            });
+            row.querySelector('.drum-track-voice').addEventListener('change', (e) => {
+                track.voice = e.target.value;
+                this.initializeDrumTrackUI();
+                this.initializeSequencerUI();
+            });
+            row.querySelector('.drum-track-choke').addEventListener('change', (e) => { track.choke = parseInt(e.target.value); });
+            row.querySelector('.drum-track-file').addEventListener('change', (e) => this.loadSample(e.target.files[0], track));
+            row.querySelector('.drum-track-clear').addEventListener('click', () => {
+                track.sample = null;
+                track.sampleName = null;
+                row.querySelector('.drum-track-file').value = null;
+                this.updateDrumTrackUI(track);
+            });
+            row.querySelector('.drum-track-remove').addEventListener('click', () => this.removeDrumTrack(track));
+            ['tune', 'decay', 'pan', 'volume'].forEach(param => {
+                document.getElementById(`${prefix}-${param}`).addEventListener('input', (e) => this.setDrumTrackParam(track, param, parseFloat(e.target.value)));
+            });
+            if (engine) this.DRUM_SYNTH_PARAMS[engine].forEach(spec => {
+                document.getElementById(`${prefix}-${engine}-${spec.param}`).addEventListener('input', (e) => {
+                    track.synth[engine][spec.param] = parseFloat(e.target.value);
+                    this.updateDrumTrackUI(track);
+                });
+            });
+            this.updateDrumTrackUI(track);
+        });
+    }
+
+    updateDrumTrackUI(track) {
+        const row = this.ui.drumTrackList && [...this.ui.drumTrackList.children].find(el => el.dataset.track === track.id);
+        if (!row) return;
+        const prefix = `drum-${track.id}`;
+        row.querySelector('.drum-track-voice').value = track.voice;
+        row.querySelector('.drum-track-choke').value = track.choke;
+        const sampleName = row.querySelector('.drum-track-sample');
+        sampleName.textContent = track.sampleName || 'Default';
+        sampleName.style.color = track.sample ? 'var(--color-neon-green)' : 'var(--color-text-secondary)';
+        const formats = {
+            tune: (v) => `${v > 0 ? '+' : ''}${v} st`,
+            decay: (v) => v.toFixed(2),
+            pan: (v) => v === 0 ? 'C' : `${v < 0 ? 'L' : 'R'}${Math.round(Math.abs(v) * 100)}`,
+            volume: (v) => v.toFixed(2)
+        };
+        Object.entries(formats).forEach(([param, format]) => {
+            document.getElementById(`${prefix}-${param}`).value = track[param];
+            document.getElementById(`${prefix}-${param}Val`).textContent = format(track[param]);
+        });
+        const engine = this.DRUM_VOICES[track.voice].synth;
+        if (engine) this.DRUM_SYNTH_PARAMS[engine].forEach(spec => {
+            const value = track.synth[engine][spec.param];
+            const decimals = spec.step < 1 ? Math.min(3, String(spec.step).split('.')[1].length) : 0;
+            document.getElementById(`${prefix}-${engine}-${spec.param}`).value = value;
+            document.getElementById(`${prefix}-${engine}-${spec.param}Val`).textContent = value.toFixed(decimals);
+        });
+    }
+
+    /**
+     * Raidan soittoparametrit askeleen lukoilla. Rumpuisku ajastetaan etukäteen, joten lukot luetaan tässä
+     * eikä säätimistä; edellisen askeleen UI-lukko voi vielä olla voimassa, jolloin käytetään perusarvoa.
+     */
+    getLockedDrumTrack(track, locks) {
+        const prefix = `drum-${track.id}`;
+        const value = (key, current) => {
+            if (key in locks) return locks[key];
+            return this.activeLocks.has(key) ? parseFloat(this.activeLocks.get(key)) : current;
+        };
+        const locked = { ...track, tune: value(`${prefix}-tune`, track.tune), decay: value(`${prefix}-decay`, track.decay), synth: {} };
+        Object.entries(track.synth).forEach(([engine, params]) => {
+            locked.synth[engine] = Object.fromEntries(Object.entries(params).map(([param, current]) => [param, value(`${prefix}-${engine}-${param}`, current)]));
+        });
+        return locked;
+    }
+
+    // --- Mute / Solo ---
+    // Kaista soi, jos sitä ei ole mykistetty ja joko mikään kaista ei ole soolona tai se itse on
+
+    isLaneAudible(lane, mutes = this.laneMutes, solos = this.laneSolos) {
+        if (mutes[lane]) return false;
+        return !Object.keys(solos).length || !!solos[lane];
+    }
+
+    // Vaihtaa kaistan tilan laneMutes- tai laneSolos-oliossa; vain päällä olevat kaistat tallennetaan
+    toggleLaneState(lanes, lane) {
+        if (lanes[lane]) delete lanes[lane];
+        else lanes[lane] = true;
+        this.updateLaneMixerUI();
+    }
+
+    // Mute/solo-painikkeet: melodinen osa + jokainen rumpuraita
+    initializeLaneMixerUI() {
+        const container = this.ui.seqLaneMixer;
+        container.innerHTML = '';
+        [['notes', 'Notes'], ...this.drumTracks.map(track => [track.id, track.name])].forEach(([lane, name]) => {
+            const strip = document.createElement('span');
+            strip.className = 'lane-strip';
+            strip.dataset.lane = lane;
+            strip.innerHTML = `<span class="lane-name"></span><button class="toggle-button lane-mute" title="Mute">M</button><button class="toggle-button lane-solo" title="Solo">S</button>`;
+            strip.querySelector('.lane-name').textContent = name;
+            strip.querySelector('.lane-mute').addEventListener('click', () => this.toggleLaneState(this.laneMutes, lane));
+            strip.querySelector('.lane-solo').addEventListener('click', () => this.toggleLaneState(this.laneSolos, lane));
+            container.appendChild(strip);
+        });
+        this.updateLaneMixerUI();
+    }
+
+    updateLaneMixerUI() {
+        [...this.ui.seqLaneMixer.children].forEach(strip => {
+            const lane = strip.dataset.lane;
+            strip.querySelector('.lane-mute').classList.toggle('active', !!this.laneMutes[lane]);
+            strip.querySelector('.lane-solo').classList.toggle('active', !!this.laneSolos[lane]);
+            strip.classList.toggle('silenced', !this.isLaneAudible(lane));
+        });
+    }
+
+    // Trig-kaistavalitsin: melodinen osa + jokainen rumpuraita
+    updateTrigLaneOptions() {
+        const select = this.ui.seqTrigLane;
+        select.innerHTML = '';
+        select.appendChild(new Option('Notes', 'notes'));
+        this.drumTracks.forEach(track => select.appendChild(new Option(track.name, track.id)));
+        if (this.trigEditLane !== 'notes' && !this.drumTracks.some(t => t.id === this.trigEditLane)) this.trigEditLane = 'notes';
+        select.value = this.trigEditLane;
+    }
+
+    loadSample(file, track) {
         if (!file) return;
         const reader = new FileReader();
         reader.onload = (e) => {
             this.audioContext.decodeAudioData(e.target.result, (buffer) => {
-                if (targetType === 'kick') this.kickSampleBuffer = buffer;
-                else if (targetType === 'snare') this.snareSampleBuffer = buffer;
-                else if (targetType === 'hat') this.hatSampleBuffer = buffer;
-                
-                nameDisplayElement.textContent = file.name;
-                nameDisplayElement.style.color = 'var(--color-neon-green)';
+                track.sample = buffer;
+                track.sampleName = file.name;
+                this.updateDrumTrackUI(track);
             }, (err) => { alert(`Error decoding audio data: ${err}`); });
         };
         reader.readAsArrayBuffer(file);
     }
 
-    resetSampleUI(nameDisplayElement, inputElement) {
-        nameDisplayElement.textContent = "Default";
-        nameDisplayElement.style.color = 'var(--color-text-secondary)';
-        inputElement.value = null;
-    }
-
     // --- Sequencer Data & UI ---
 
+    // notes = soinnun nuotit { baseNoteName, baseFreq, octaveShift, noteLabel }; tyhjä = vain rummut
+    // drums = { raidan id: true } soivat rumpuraidat
     createEmptyStep() {
-        return { baseNoteName: null, baseFreq: null, octaveShift: 0, noteLabel: null, kick: false, snare: false, hat: false, volume: 1.0 };
+        return { notes: [], velocity: this.DEFAULT_STEP_VELOCITY, accent: false, gate: this.DEFAULT_GATE, nudge: 0, slide: false, drums: {}, volume: 1.0, morph: null, trigs: this.createDefaultTrigs(), locks: {} };
+    }
+
+    createDefaultTrig() {
+        return { probability: 1, condition: 'always', ratchet: 1 };
+    }
+
+    // Kaistakohtaiset trig-asetukset: notes aina, rumpuraidoille vasta kun niitä muokataan
+    createDefaultTrigs() {
+        return { notes: this.createDefaultTrig() };
+    }
+
+    getTrig(step, lane) {
+        return step.trigs[lane] || this.createDefaultTrig();
+    }
+
+    isDefaultTrig(trig) {
+        return trig.probability >= 1 && trig.condition === 'always' && trig.ratchet === 1;
+    }
+
+    /**
+     * Täydentää tallennetun askeleen oletuksilla. Vanhoissa tiedostoissa askeleella on yksi nuotti
+     * suoraan kentissä baseNoteName/baseFreq/octaveShift/noteLabel, ne siirretään notes-taulukkoon.
+     * Vanhat rumpukentät kick/snare/hat siirretään samannimisille oletusraidoille.
+     */
+    normalizeStep(data) {
+        const { baseNoteName, baseFreq, octaveShift, noteLabel, kick, snare, hat, ...rest } = data || {};
+        const step = { ...this.createEmptyStep(), ...rest };
+        step.notes = Array.isArray(rest.notes) ? rest.notes.map(n => ({ ...n })) : [];
+        if (!Array.isArray(rest.notes) && baseNoteName) step.notes.push({ baseNoteName, baseFreq, octaveShift: octaveShift || 0, noteLabel });
+        step.drums = rest.drums ? { ...rest.drums } : Object.fromEntries(Object.entries({ kick, snare, hat }).filter(([, on]) => on).map(([id]) => [id, true]));
+        const trigs = { ...this.createDefaultTrigs(), ...rest.trigs };
+        step.trigs = Object.fromEntries(Object.entries(trigs).map(([lane, trig]) => [lane, { ...this.createDefaultTrig(), ...trig }]));
+        step.locks = { ...rest.locks };
+        return step;
+    }
+
+    cloneStep(step) {
+        const trigs = Object.fromEntries(Object.entries(step.trigs).map(([lane, trig]) => [lane, { ...trig }]));
+        return { ...step, notes: step.notes.map(n => ({ ...n })), drums: { ...step.drums }, trigs: trigs, locks: { ...step.locks } };
     }
 
     initializeSequencerPattern() {
-        // Luodaan askeleet (oletuksena 8 kpl)
+        // Luodaan askeleet (oletuksena 8 kpl); perusbiitti ensimmäisille raidoille, joilla on kyseinen ääni
+        const trackFor = (voice) => this.drumTracks.find(t => t.voice === voice);
+        const [kick, snare, hat] = ['kick', 'snare', 'hat'].map(trackFor);
         this.sequencerPattern = Array.from({ length: this.SEQ_LENGTH }, (_, i) => {
             const step = this.createEmptyStep();
 
             // 1. Hi-hat jokaisessa askeleessa
-            step.hat = true;
+            if (hat) step.drums[hat.id] = true;
 
             // 2. Kick ensimmäisessä askeleessa (indeksi 0)
-            if (i === 0) {
-                step.kick = true;
+            if (i === 0 && kick) {
+                step.drums[kick.id] = true;
             }
 
             // 3. Snare viidennessä askeleessa (indeksi 4)
-            if (i === 4) {
-                step.snare = true;
+            if (i === 4 && snare) {
+                step.drums[snare.id] = true;
             }
 
             return step;
@@ -265,23 +926,46 @@ class DrumsAndSequencer {
             
             const mainPart = document.createElement('div');
             mainPart.className = 'seq-step-main';
+            // Askeleen painaminen pitää sen lukitustilassa (kosketusnäytöllä toinen sormi liikuttaa säädintä)
+            mainPart.addEventListener('pointerdown', (e) => this.holdStep(parseInt(stepDiv.dataset.index), e.pointerId));
 
             const notePart = document.createElement('div');
             notePart.classList.add('seq-step-note');
             notePart.addEventListener('click', () => this.setCurrentEditStep(i));
             mainPart.appendChild(notePart);
+
+            // Slide: nuotti pidetään ja seuraava askel liukuu siihen ilman ADSR:n uudelleenkäynnistystä
+            const slidePart = document.createElement('div');
+            slidePart.className = 'seq-step-slide';
+            slidePart.textContent = 'SLIDE';
+            slidePart.title = 'Slide into the next step (legato glide)';
+            slidePart.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const stepIndex = parseInt(stepDiv.dataset.index);
+                this.sequencerPattern[stepIndex].slide = !this.sequencerPattern[stepIndex].slide;
+                this.updateSequencerStepUI(stepIndex);
+            });
+            mainPart.appendChild(slidePart);
+
+            // Gate-palkki: täysi leveys = koko askel, sidotut nuotit näyttävät pituuden askelina
+            const gatePart = document.createElement('div');
+            gatePart.className = 'seq-step-gate';
+            gatePart.appendChild(document.createElement('div'));
+            mainPart.appendChild(gatePart);
             
             const drumsContainer = document.createElement('div');
             drumsContainer.className = 'seq-step-drums-container';
-            ['kick', 'snare', 'hat'].forEach(drumType => {
+            this.drumTracks.forEach(track => {
                 const drumPart = document.createElement('div');
-                drumPart.classList.add('seq-step-drum', drumType);
-                drumPart.textContent = drumType.substring(0,1).toUpperCase();
+                drumPart.classList.add('seq-step-drum', track.voice);
+                drumPart.dataset.track = track.id;
+                drumPart.title = track.name;
                 drumPart.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    const stepIndex = parseInt(stepDiv.dataset.index);
-                    this.sequencerPattern[stepIndex][drumType] = !this.sequencerPattern[stepIndex][drumType];
-                    this.updateSequencerStepUI(stepIndex);
+                    const drums = this.sequencerPattern[parseInt(stepDiv.dataset.index)].drums;
+                    if (drums[track.id]) delete drums[track.id];
+                    else drums[track.id] = true;
+                    this.updateSequencerStepUI(parseInt(stepDiv.dataset.index));
                 });
                 drumsContainer.appendChild(drumPart);
             });
@@ -298,6 +982,22 @@ class DrumsAndSequencer {
             });
             stepDiv.appendChild(volSlider);
 
+            // Timbre morph -arvo askeleelle (tyhjä = liukusäätimen arvo), tuplaklikkaus tyhjentää
+            const morphSlider = document.createElement('input');
+            morphSlider.type = 'range';
+            morphSlider.className = 'seq-step-morph';
+            morphSlider.min = 0; morphSlider.max = 1; morphSlider.step = 0.05;
+            morphSlider.title = 'Timbre morph for this step (double-click to clear)';
+            morphSlider.addEventListener('input', (e) => {
+                this.sequencerPattern[i].morph = parseFloat(e.target.value);
+                this.updateSequencerStepUI(i);
+            });
+            morphSlider.addEventListener('dblclick', () => {
+                this.sequencerPattern[i].morph = null;
+                this.updateSequencerStepUI(i);
+            });
+            stepDiv.appendChild(morphSlider);
+
             this.ui.sequencerStepsContainer.appendChild(stepDiv); 
             this.seqStepElements.push(stepDiv); 
             this.updateSequencerStepUI(i);
@@ -305,6 +1005,7 @@ class DrumsAndSequencer {
     }
 
     setCurrentEditStep(index) {
+        if (this.holdSource === 'button' && index !== this.heldLockStep) this.releaseHeldStep();
         if (this.currentEditStepIndex !== null && this.seqStepElements[this.currentEditStepIndex]) {
             this.seqStepElements[this.currentEditStepIndex].classList.remove('selected-for-edit');
         }
@@ -312,6 +1013,165 @@ class DrumsAndSequencer {
         if (this.currentEditStepIndex !== null && this.seqStepElements[this.currentEditStepIndex]) {
             this.seqStepElements[this.currentEditStepIndex].classList.add('selected-for-edit');
         }
+        this.updateStepEditorUI();
+    }
+
+    // Valitun askeleen velocity-, accent-, gate- ja nudge-säätimet
+    updateStepEditorUI() {
+        const step = this.currentEditStepIndex !== null ? this.sequencerPattern[this.currentEditStepIndex] : null;
+        [this.ui.seqStepVelocity, this.ui.seqStepGate, this.ui.seqStepAccent, this.ui.seqStepNudge,
+            this.ui.seqTrigLane, this.ui.seqTrigProbability, this.ui.seqTrigCondition, this.ui.seqTrigRatchet,
+            this.ui.seqHoldStep, this.ui.seqClearLocks].forEach(el => { el.disabled = !step; });
+        const held = this.holdSource === 'button';
+        this.ui.seqHoldStep.classList.toggle('active', held);
+        this.ui.seqHoldStep.textContent = `Hold Step (${held ? 'ON' : 'OFF'})`;
+        const velocity = step ? step.velocity : this.DEFAULT_STEP_VELOCITY;
+        const gate = step ? step.gate : this.DEFAULT_GATE;
+        this.ui.seqStepVelocity.value = velocity;
+        this.ui.seqStepVelocityVal.textContent = velocity;
+        this.ui.seqStepGate.value = gate;
+        this.ui.seqStepGateVal.textContent = gate > 1 ? `${gate.toFixed(2)} steps` : `${Math.round(gate * 100)}%`;
+        const nudge = step ? step.nudge : 0;
+        this.ui.seqStepNudge.value = nudge;
+        this.ui.seqStepNudgeVal.textContent = `${nudge > 0 ? '+' : ''}${Math.round(nudge * 100)}%`;
+        const trig = step ? this.getTrig(step, this.trigEditLane) : this.createDefaultTrig();
+        this.ui.seqTrigLane.value = this.trigEditLane;
+        this.ui.seqTrigProbability.value = trig.probability;
+        this.ui.seqTrigProbabilityVal.textContent = `${Math.round(trig.probability * 100)}%`;
+        this.ui.seqTrigCondition.value = trig.condition;
+        this.ui.seqTrigRatchet.value = trig.ratchet;
+        this.ui.seqStepAccent.classList.toggle('active', !!(step && step.accent));
+        this.ui.seqStepAccent.textContent = `Accent (${step && step.accent ? 'ON' : 'OFF'})`;
+        this.ui.seqStepEditorLabel.textContent = step ? `Step ${this.currentEditStepIndex + 1}:` : 'Step: (none selected)';
+    }
+
+    // Swingin kohdenappien ja fill-napin tila
+    updateGrooveUI() {
+        [[this.ui.seqSwingDrums, this.swingDrums, 'Swing Drums'], [this.ui.seqSwingMelodic, this.swingMelodic, 'Swing Notes'], [this.ui.seqFill, this.fillActive, 'Fill']].forEach(([button, on, label]) => {
+            button.classList.toggle('active', on);
+            button.textContent = `${label} (${on ? 'ON' : 'OFF'})`;
+        });
+    }
+
+    // Muuttaa valitun askeleen kenttää (velocity / gate / accent / nudge)
+    editSelectedStep(field, value) {
+        if (this.currentEditStepIndex === null) return;
+        this.sequencerPattern[this.currentEditStepIndex][field] = value;
+        this.updateSequencerStepUI(this.currentEditStepIndex);
+        this.updateStepEditorUI();
+    }
+
+    // Muuttaa valitun askeleen valitun kaistan (trigEditLane) trig-asetusta
+    editSelectedTrig(field, value) {
+        if (this.currentEditStepIndex === null) return;
+        const step = this.sequencerPattern[this.currentEditStepIndex];
+        step.trigs[this.trigEditLane] = { ...this.getTrig(step, this.trigEditLane), [field]: value };
+        this.updateSequencerStepUI(this.currentEditStepIndex);
+        this.updateStepEditorUI();
+    }
+
+    // --- Parameter Locks ---
+
+    // Asettaa lukitun säätimen arvon kuten käyttäjä olisi liikuttanut sitä (input-kuuntelijat päivittävät äänen)
+    setLockedControl(key, value) {
+        const control = this.callbacks.getParamLockControl(key);
+        if (!control) return;
+        control.value = value;
+        this.applyingLocks = true;
+        control.dispatchEvent(new Event('input', { bubbles: true }));
+        this.applyingLocks = false;
+    }
+
+    // Pidon aikana muutokset kirjataan askeleelle ja säätimet palautetaan vapautuksessa. Hold-nappi näyttää
+    // myös askeleen nykyiset lukot säätimissä; pelkkä klikkaus askeleeseen ei muuta ääntä
+    holdStep(index, source) {
+        if (this.heldLockStep !== null) this.releaseHeldStep();
+        this.heldLockStep = index;
+        this.holdSource = source;
+        this.lockHoldSnapshot = new Map([...document.querySelectorAll('input[type="range"]')].map(el => [el, el.value]));
+        if (source === 'button') Object.entries(this.sequencerPattern[index].locks).forEach(([key, value]) => {
+            this.lockHoldChanged.add(key);
+            this.setLockedControl(key, value);
+        });
+        if (this.seqStepElements[index]) this.seqStepElements[index].classList.add('held');
+        this.updateStepEditorUI();
+    }
+
+    releaseHeldStep() {
+        if (this.heldLockStep === null) return;
+        if (this.seqStepElements[this.heldLockStep]) this.seqStepElements[this.heldLockStep].classList.remove('held');
+        this.heldLockStep = null;
+        this.holdSource = null;
+        this.lockHoldChanged.forEach(key => {
+            const control = this.callbacks.getParamLockControl(key);
+            if (control && this.lockHoldSnapshot.has(control)) this.setLockedControl(key, this.lockHoldSnapshot.get(control));
+        });
+        this.lockHoldChanged.clear();
+        this.lockHoldSnapshot.clear();
+        this.updateStepEditorUI();
+    }
+
+    // Dokumentin input-kuuntelija: pidon aikana säätimen arvo lukitaan askeleelle
+    onParamLockInput(element) {
+        if (this.applyingLocks) return;
+        // Sekvensserin omia säätimiä ei lukita
+        if (element.id.startsWith('seq') || element === this.ui.bpmSlider || this.ui.sequencerStepsContainer.contains(element)) return;
+        const key = this.callbacks.getParamLockKey(element);
+        if (!key) return;
+        if (this.heldLockStep === null) {
+            // Soitossa lukitun säätimen liikuttaminen muuttaa perusarvoa, johon palataan
+            if (this.activeLocks.has(key)) this.activeLocks.set(key, element.value);
+            return;
+        }
+        this.sequencerPattern[this.heldLockStep].locks[key] = parseFloat(element.value);
+        this.lockHoldChanged.add(key);
+        this.updateSequencerStepUI(this.heldLockStep);
+    }
+
+    // Soitossa askeleen alussa: uudet lukot voimaan, puuttuvien lukkojen perusarvot takaisin.
+    // Nuottikohtaiset lukot ohitetaan, ne välitetään nuoteille ajastushetkellä (getNoteLocks)
+    applyStepLocks(locks) {
+        if (this.heldLockStep !== null) return;
+        this.activeLocks.forEach((base, key) => {
+            if (key in locks) return;
+            this.setLockedControl(key, base);
+            this.activeLocks.delete(key);
+        });
+        Object.entries(locks).forEach(([key, value]) => {
+            if (this.callbacks.isNoteParamLock(key)) return;
+            const control = this.callbacks.getParamLockControl(key);
+            if (!control) return;
+            if (!this.activeLocks.has(key)) this.activeLocks.set(key, control.value);
+            this.setLockedControl(key, value);
+        });
+    }
+
+    // Askeleen nuottikohtaiset lukot ajastushetkellä, kuten getLockedDrumTrack. Soitto ei aseta niitä
+    // säätimiin, joten lukitsemattomat arvot luetaan säätimistä (perusarvo)
+    getNoteLocks(locks) {
+        return Object.fromEntries(Object.entries(locks).filter(([key]) => this.callbacks.isNoteParamLock(key)));
+    }
+
+    restoreLockedParams() {
+        this.activeLocks.forEach((base, key) => this.setLockedControl(key, base));
+        this.activeLocks.clear();
+    }
+
+    /**
+     * Kirjoittaa pianon nuotin valittuun askeleeseen. addToChord lisää sen olemassa olevaan
+     * sointuun (näppäimiä pidetään yhtä aikaa), muuten askeleen nuotit korvataan.
+     * velocity (MIDI) asetetaan askeleelle; null säilyttää askeleen velocityn.
+     */
+    enterStepNote(note, addToChord, velocity = null) {
+        if (this.currentEditStepIndex === null) return;
+        const step = this.sequencerPattern[this.currentEditStepIndex];
+        const entry = { baseNoteName: note.baseNoteName, baseFreq: note.baseFreq, octaveShift: note.octaveShift, noteLabel: note.noteLabel };
+        const isSame = (n) => n.baseNoteName === entry.baseNoteName && n.octaveShift === entry.octaveShift;
+        if (!addToChord) step.notes = [entry];
+        else if (!step.notes.some(isSame)) step.notes.push(entry);
+        if (velocity != null) step.velocity = addToChord ? Math.max(step.velocity, velocity) : velocity;
+        this.updateSequencerStepUI(this.currentEditStepIndex);
+        this.updateStepEditorUI();
     }
 
     updateSequencerStepUI(index) {
@@ -319,17 +1179,37 @@ class DrumsAndSequencer {
         const stepDiv = this.seqStepElements[index]; 
         const notePart = stepDiv.querySelector('.seq-step-note'); 
         const stepData = this.sequencerPattern[index];
-        if (stepData.baseNoteName) { 
-            notePart.innerHTML = `<span>${stepData.noteLabel}</span><span class="step-octave">o:${stepData.octaveShift >= 0 ? '+' : ''}${stepData.octaveShift}</span>`; 
+        if (stepData.notes.length > 0) { 
+            // Sointu näytetään nimillä, oktaavi ensimmäisen nuotin mukaan
+            const octave = stepData.notes[0].octaveShift;
+            notePart.innerHTML = `<span>${stepData.notes.map(n => n.noteLabel).join(' ')}</span><span class="step-octave">o:${octave >= 0 ? '+' : ''}${octave}</span>`; 
             notePart.classList.remove('empty'); 
         } else { 
             notePart.innerHTML = '<span>---</span>'; 
             notePart.classList.add('empty'); 
         }
-        stepDiv.querySelector('.kick').classList.toggle('active', stepData.kick);
-        stepDiv.querySelector('.snare').classList.toggle('active', stepData.snare);
-        stepDiv.querySelector('.hat').classList.toggle('active', stepData.hat);
-        stepDiv.classList.toggle('empty', !stepData.baseNoteName && !stepData.kick && !stepData.snare && !stepData.hat);
+        stepDiv.querySelector('.seq-step-slide').classList.toggle('active', !!stepData.slide);
+        const morphSlider = stepDiv.querySelector('.seq-step-morph');
+        morphSlider.classList.toggle('unset', stepData.morph == null);
+        morphSlider.value = stepData.morph != null ? stepData.morph : 0;
+        // Ehdollinen trig alleviivataan, ratchet näkyy rumpukaistalla toistomääränä
+        notePart.classList.toggle('conditional', !this.isDefaultTrig(stepData.trigs.notes));
+        [...stepDiv.querySelectorAll('.seq-step-drum')].forEach(drumPart => {
+            const track = this.drumTracks.find(t => t.id === drumPart.dataset.track);
+            if (!track) return;
+            const trig = this.getTrig(stepData, track.id);
+            drumPart.classList.toggle('active', !!stepData.drums[track.id]);
+            drumPart.classList.toggle('conditional', !this.isDefaultTrig(trig));
+            drumPart.textContent = this.DRUM_VOICES[track.voice].label + (trig.ratchet > 1 ? trig.ratchet : '');
+        });
+        stepDiv.classList.toggle('accent', !!stepData.accent);
+        stepDiv.querySelector('.seq-step-gate div').style.width = `${Math.min(1, stepData.gate) * 100}%`;
+        stepDiv.querySelector('.seq-step-gate').classList.toggle('tied', stepData.gate > 1);
+        const lockKeys = Object.keys(stepData.locks);
+        stepDiv.classList.toggle('locked', lockKeys.length > 0);
+        stepDiv.title = `Velocity ${stepData.velocity}${stepData.accent ? ' (accent)' : ''}, gate ${stepData.gate > 1 ? `${stepData.gate.toFixed(2)} steps` : `${Math.round(stepData.gate * 100)}%`}` +
+            (lockKeys.length > 0 ? `\nLocked: ${lockKeys.join(', ')}` : '');
+        stepDiv.classList.toggle('empty', stepData.notes.length === 0 && !this.drumTracks.some(t => stepData.drums[t.id]));
     }
 
     // --- Muokkaus (Clear / Randomize) ---
@@ -337,14 +1217,14 @@ class DrumsAndSequencer {
     clearSelectedStep() {
         if (this.currentEditStepIndex !== null) {
             const drums = {
-                kick: this.sequencerPattern[this.currentEditStepIndex].kick,
-                snare: this.sequencerPattern[this.currentEditStepIndex].snare,
-                hat: this.sequencerPattern[this.currentEditStepIndex].hat,
+                drums: { ...this.sequencerPattern[this.currentEditStepIndex].drums },
                 volume: 1.0
             };
-            this.sequencerPattern[this.currentEditStepIndex] = { ...this.createEmptyStep(), ...drums };
+            const trigs = { ...this.cloneStep(this.sequencerPattern[this.currentEditStepIndex]).trigs, notes: this.createDefaultTrig() };
+            this.sequencerPattern[this.currentEditStepIndex] = { ...this.createEmptyStep(), ...drums, trigs: trigs };
             this.seqStepElements[this.currentEditStepIndex].querySelector('.seq-step-volume').value = 1.0;
             this.updateSequencerStepUI(this.currentEditStepIndex);
+            this.updateStepEditorUI();
         }
     }
 
@@ -382,8 +1262,10 @@ class DrumsAndSequencer {
         if (chordNotesForArp.length === 0) chordNotesForArp.push({...rootNoteDataFromPool, octaveShift: rootOctaveForChord });
 
         for (let i = 0; i < this.SEQ_LENGTH; i++) {
-            const existingDrums = { kick: this.sequencerPattern[i].kick, snare: this.sequencerPattern[i].snare, hat: this.sequencerPattern[i].hat };
-            const existingVolume = { volume: this.sequencerPattern[i].volume };
+            const existingDrums = { drums: { ...this.sequencerPattern[i].drums } };
+            // Rumpukaistojen trigit säilyvät, melodinen trig arvotaan jotta kuvio elää kierroksittain
+            const trigs = { ...this.cloneStep(this.sequencerPattern[i]).trigs, notes: this.createRandomTrig() };
+            const existingVolume = { volume: this.sequencerPattern[i].volume, morph: this.sequencerPattern[i].morph, velocity: this.sequencerPattern[i].velocity, accent: this.sequencerPattern[i].accent, gate: this.sequencerPattern[i].gate, locks: { ...this.sequencerPattern[i].locks } };
             
             if (Math.random() < 0.85) {
                 const arpNoteData = chordNotesForArp[i % chordNotesForArp.length];
@@ -395,26 +1277,233 @@ class DrumsAndSequencer {
                     currentArpNoteOctave = newOctave;
                 }
                 this.sequencerPattern[i] = { 
-                    baseNoteName: arpNoteData.baseNoteName, 
-                    baseFreq: arpNoteData.baseFreq, 
-                    octaveShift: currentArpNoteOctave, 
-                    noteLabel: arpNoteData.noteLabel, 
-                    ...existingDrums, ...existingVolume 
+                    ...this.createEmptyStep(),
+                    notes: [{ baseNoteName: arpNoteData.baseNoteName, baseFreq: arpNoteData.baseFreq, octaveShift: currentArpNoteOctave, noteLabel: arpNoteData.noteLabel }],
+                    ...existingDrums, ...existingVolume, trigs: trigs
                 };
             } else {
-                this.sequencerPattern[i] = { ...this.createEmptyStep(), ...existingDrums, ...existingVolume };
+                this.sequencerPattern[i] = { ...this.createEmptyStep(), ...existingDrums, ...existingVolume, trigs: trigs };
             }
             this.updateSequencerStepUI(i);
         }
 
         if (this.sequencerPlaying) {
-            clearTimeout(this.seqTimerId);
+            // Aloitetaan uusi kuvio alusta; jo ajastetut askeleet (enintään LOOKAHEAD) soivat loppuun
             this.currentSeqStep = 0;
             this.currentGateStep = 0;
-            this.sequencerStep();
+            this.nextTickTime = this.audioContext.currentTime + this.START_DELAY;
         }
     }
 
+    // Satunnainen trig Random Chord Arpille: useimmat askeleet soivat aina, osa ehdollisesti tai ratchetilla
+    createRandomTrig() {
+        const trig = this.createDefaultTrig();
+        const roll = Math.random();
+        if (roll < 0.15) trig.probability = 0.5 + Math.round(Math.random() * 8) * 0.05;
+        else if (roll < 0.25) trig.condition = ['1:2', '2:2', '1:4', '3:4', '!first'][Math.floor(Math.random() * 5)];
+        else if (roll < 0.33) trig.ratchet = 2 + Math.floor(Math.random() * 3);
+        return trig;
+    }
+
+    // --- Rhythm Generator ---
+
+    // Generaattorin kaistavalitsin: rumpuraidat + tremolo- ja FX-gate
+    updateGeneratorLaneOptions() {
+        const select = this.ui.seqGenLane;
+        const previous = select.value;
+        select.innerHTML = '';
+        this.drumTracks.forEach(track => select.appendChild(new Option(track.name, track.id)));
+        select.appendChild(new Option('Tremolo Gate', 'tremoloGate'));
+        select.appendChild(new Option('FX Gate', 'fxGate'));
+        if ([...select.options].some(option => option.value === previous)) select.value = previous;
+    }
+
+    // Näyttää vain valitun tilan säätimet käytössä; pohja kirjoittaa kaikki kaistat
+    updateGeneratorUI() {
+        const mode = this.ui.seqGenMode.value;
+        this.ui.seqGenLane.disabled = mode === 'template';
+        [this.ui.seqGenHits, this.ui.seqGenSteps, this.ui.seqGenRotation].forEach(input => { input.disabled = mode !== 'euclidean'; });
+        this.ui.seqGenDensity.disabled = mode !== 'random';
+        this.ui.seqGenTemplate.disabled = mode !== 'template';
+        this.ui.seqGenUndoBtn.disabled = this.generatorUndo.length === 0;
+    }
+
+    // Euclidean-rytmi: hits iskua mahdollisimman tasaisesti steps askeleen jaksolle, rotation siirtää oikealle
+    isEuclideanHit(index, hits, steps, rotation) {
+        const position = ((index - rotation) % steps + steps) % steps;
+        const pulses = Math.min(hits, steps);
+        return (position * pulses) % steps < pulses;
+    }
+
+    generateRhythm() {
+        const mode = this.ui.seqGenMode.value;
+        this.pushGeneratorUndo();
+        if (mode === 'template') {
+            this.applyRhythmTemplate(this.RHYTHM_TEMPLATES[this.ui.seqGenTemplate.value]);
+        } else if (mode === 'euclidean') {
+            const hits = parseInt(this.ui.seqGenHits.value);
+            const steps = parseInt(this.ui.seqGenSteps.value);
+            const rotation = parseInt(this.ui.seqGenRotation.value);
+            this.writeGeneratedLane(this.ui.seqGenLane.value, (i) => this.isEuclideanHit(i, hits, steps, rotation));
+        } else {
+            const density = parseFloat(this.ui.seqGenDensity.value);
+            this.writeGeneratedLane(this.ui.seqGenLane.value, () => Math.random() < density);
+        }
+        for (let i = 0; i < this.SEQ_LENGTH; i++) this.updateSequencerStepUI(i);
+        this.updateGateUI(this.ui.tremoloGateStepsContainer, this.tremoloGatePattern);
+        this.updateGateUI(this.ui.fxGateStepsContainer, this.fxGatePattern);
+    }
+
+    // isHit(i) saa rumpuraidalle askeleen indeksin, gatelle 16-osan indeksin
+    writeGeneratedLane(lane, isHit) {
+        if (lane === 'tremoloGate' || lane === 'fxGate') {
+            // Päivitetään paikallaan, koska gate-askelten kuuntelijat viittaavat näihin taulukoihin
+            const gate = lane === 'tremoloGate' ? this.tremoloGatePattern : this.fxGatePattern;
+            gate.splice(0, 16, ...Array.from({ length: 16 }, (_, i) => isHit(i)));
+            return;
+        }
+        this.sequencerPattern.forEach((step, i) => {
+            if (isHit(i)) step.drums[lane] = true;
+            else delete step.drums[lane];
+        });
+    }
+
+    // Korvaa kaikkien raitojen iskut ja gatet pohjalla; 16-osat kvantisoidaan lähimpään askeleeseen kuvion
+    // pituuden mukaan. Alle 16 askeleen kuviossa samaan askeleeseen osuvat iskut yhdistyvät, määrä kerrotaan tilassa
+    applyRhythmTemplate(template) {
+        const trackFor = (voice) => this.drumTracks.find(t => t.voice === voice) || this.drumTracks.find(t => t.voice === this.TEMPLATE_FALLBACK_VOICES[voice]);
+        let merged = 0;
+        this.sequencerPattern.forEach(step => { step.drums = {}; });
+        Object.entries(template.drums).forEach(([voice, positions]) => {
+            const track = trackFor(voice);
+            if (!track) return;
+            positions.forEach(pos => {
+                const drums = this.sequencerPattern[Math.min(this.SEQ_LENGTH - 1, Math.round(pos * this.SEQ_LENGTH / 16))].drums;
+                if (drums[track.id]) merged++;
+                drums[track.id] = true;
+            });
+        });
+        this.writeGeneratedLane('tremoloGate', (i) => template.tremoloGate.includes(i));
+        this.writeGeneratedLane('fxGate', (i) => template.fxGate.includes(i));
+        this.updatePatternBankUI();
+        if (merged > 0) this.ui.patternStatus.textContent = `${template.name}: ${merged} hit${merged > 1 ? 's' : ''} merged at ${this.SEQ_LENGTH} steps`;
+    }
+
+    pushGeneratorUndo() {
+        this.storeCurrentPattern();
+        this.generatorUndo.push({ patternIndex: this.currentPatternIndex, pattern: this.clonePattern(this.patterns[this.currentPatternIndex]) });
+        if (this.generatorUndo.length > this.MAX_GENERATOR_UNDO) this.generatorUndo.shift();
+        this.updateGeneratorUI();
+    }
+
+    // Palauttaa kuvion generointia edeltäneeseen tilaan (myös jos näkyvissä on jo toinen kuvio)
+    undoGeneration() {
+        const entry = this.generatorUndo.pop();
+        if (!entry) return;
+        this.storeCurrentPattern();
+        this.patterns[entry.patternIndex] = entry.pattern;
+        if (entry.patternIndex === this.currentPatternIndex) {
+            this.loadPattern(this.currentPatternIndex);
+            this.refreshPatternUI();
+        } else {
+            this.updatePatternBankUI();
+        }
+        this.ui.patternStatus.textContent = `Undid generation in ${this.getPatternLabel(entry.patternIndex)}`;
+        this.updateGeneratorUI();
+    }
+
+    clearGeneratorUndo() {
+        this.generatorUndo = [];
+        this.updateGeneratorUI();
+    }
+
+    // --- Live & Step Recording ---
+
+    isRecording() {
+        return this.recordArmed && this.sequencerPlaying;
+    }
+
+    updateRecordUI() {
+        [[this.ui.seqRecord, this.recordArmed, 'Record'], [this.ui.seqCountIn, this.countIn, 'Count-in'], [this.ui.seqStepRecord, this.stepRecord, 'Step Rec']].forEach(([button, on, label]) => {
+            button.classList.toggle('active', on);
+            button.textContent = `${label} (${on ? 'ON' : 'OFF'})`;
+        });
+    }
+
+    // Step record alkaa valitusta askeleesta, tai ensimmäisestä jos mitään ei ole valittu
+    setStepRecord(on) {
+        this.stepRecord = on;
+        if (on && this.currentEditStepIndex === null) this.setCurrentEditStep(0);
+        this.updateRecordUI();
+    }
+
+    // Kutsutaan, kun kaikki askeleeseen syötetyt näppäimet on vapautettu (sointu syötetään pitämällä useita)
+    completeStepEntry() {
+        if (!this.stepRecord || this.currentEditStepIndex === null) return;
+        this.setCurrentEditStep((this.currentEditStepIndex + 1) % this.SEQ_LENGTH);
+    }
+
+    // Hetkeä lähimpänä alkava ajastettu askel; null ennen ensimmäistä askelta (esim. count-in)
+    findRecordStep(time) {
+        const nearest = this.recordTimeline.reduce((best, entry) => (!best || Math.abs(entry.time - time) < Math.abs(best.time - time) ? entry : best), null);
+        return nearest && Math.abs(nearest.time - time) <= nearest.duration ? nearest : null;
+    }
+
+    /**
+     * Live-tallennuksen nuotti (soi samalla normaalisti pääohjelmassa). id yhdistää nuotin sen vapautukseen,
+     * velocity on null näppäimistöltä ja hiireltä, jolloin askeleen velocity säilyy.
+     */
+    recordNoteOn(id, note, velocity) {
+        const now = this.audioContext.currentTime;
+        const target = this.findRecordStep(now);
+        // Tahdin rajaa edeltävä nuotti voi osua jo ajastettuun seuraavaan kuvioon, joka tulee pian työkuvioksi
+        const step = target && target.steps[target.step];
+        if (!step) return;
+        const entry = { baseNoteName: note.baseNoteName, baseFreq: note.baseFreq, octaveShift: note.octaveShift, noteLabel: note.noteLabel };
+        const replace = this.recordMode === 'replace' && this.recordReplacedPass.get(target.step) !== target.pass;
+        if (replace) {
+            step.notes = [];
+            this.recordReplacedPass.set(target.step, target.pass);
+        }
+        if (velocity != null) step.velocity = step.notes.length > 0 ? Math.max(step.velocity, velocity) : velocity;
+        if (!step.notes.some(n => n.baseNoteName === entry.baseNoteName && n.octaveShift === entry.octaveShift)) step.notes.push(entry);
+        this.recordingNotes.set(id, { steps: target.steps, step: target.step, started: now, duration: target.duration });
+        this.updateRecordedStepUI(target.steps, target.step);
+    }
+
+    // Vapautus asettaa askeleen gaten pidon keston mukaan; yli askeleen pituinen pito sitoo nuotin seuraaviin askeliin
+    recordNoteOff(id) {
+        const held = this.recordingNotes.get(id);
+        if (!held) return;
+        this.recordingNotes.delete(id);
+        const step = held.steps[held.step];
+        if (!step) return;
+        const gate = Math.round((this.audioContext.currentTime - held.started) / held.duration * 100) / 100;
+        step.gate = Math.min(this.MAX_GATE, Math.max(this.MIN_GATE, gate));
+        this.updateRecordedStepUI(held.steps, held.step);
+    }
+
+    // Näkymä päivitetään vain, jos tallennettu kuvio on jo muokattavana
+    updateRecordedStepUI(steps, index) {
+        if (steps !== this.sequencerPattern) return;
+        this.updateSequencerStepUI(index);
+        if (this.currentEditStepIndex === index) this.updateStepEditorUI();
+    }
+
+    // Count-in-naksu rumpuväylään; tahdin ensimmäinen isku korkeampi
+    playCountInClick(time, accent) {
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        osc.frequency.value = accent ? 1600 : 1000;
+        gain.gain.setValueAtTime(0.4, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+        osc.connect(gain);
+        gain.connect(this.callbacks.mixerNodes.drums);
+        osc.start(time);
+        osc.stop(time + 0.06);
+        this.countInClicks.push(gain);
+    }
+
     // --- Sequencer Loop (The Heart) ---
 
     toggleSequencer() {
@@ -437,14 +1526,47 @@ class DrumsAndSequencer {
     startLoop() {
         this.currentSeqStep = 0;
         this.currentGateStep = 0;
+        this.barCount = 0;
+        this.patternLoop = 0;
+        if (this.songMode && this.songList.length > 0) {
+            this.songPosition = 0;
+            this.songRepeat = 0;
+            this.switchPattern(this.songList[0].pattern);
+        }
+        this.nextTickTime = this.audioContext.currentTime + this.START_DELAY;
+        if (this.recordArmed && this.countIn) {
+            // Count-in: yksi tahti naksuja ennen ensimmäistä askelta
+            const beat = 60.0 / this.bpm;
+            for (let i = 0; i < this.COUNT_IN_BEATS; i++) this.playCountInClick(this.nextTickTime + i * beat, i === 0);
+            this.nextTickTime += this.COUNT_IN_BEATS * beat;
+        }
+        this.playheadQueue = [];
         this.ui.playStopSequencer.textContent = 'Stop Sequencer';
         this.ui.playStopSequencer.classList.add('active');
-        this.sequencerStep();
+        this.scheduler();
+        this.playheadFrameId = requestAnimationFrame(() => this.drawPlayhead());
     }
 
     stopLoop() {
         clearTimeout(this.seqTimerId);
         this.seqTimerId = null;
+        cancelAnimationFrame(this.playheadFrameId);
+        this.playheadFrameId = null;
+        this.playheadQueue = [];
+        this.pendingCallbacks.forEach(id => clearTimeout(id));
+        this.pendingCallbacks.clear();
+        this.releaseSlidingNote();
+        this.callbacks.setTimbreMorph(null);
+        this.restoreLockedParams();
+        this.chokeVoices.clear();
+        this.countInClicks.forEach(gain => gain.disconnect());
+        this.countInClicks = [];
+        this.recordTimeline = [];
+        this.recordingNotes.clear();
+        this.recordReplacedPass.clear();
+        // Jo alkanut tahti vaihtaa kuvion, vaikka ajastettu kutsu perutaan; soimaton vaihto unohdetaan
+        if (this.pendingPattern && this.pendingPattern.time <= this.audioContext.currentTime) this.applyPendingPattern();
+        this.pendingPattern = null;
         
         const effects = this.callbacks.effects;
         
@@ -456,94 +1578,468 @@ class DrumsAndSequencer {
         this.ui.playStopSequencer.textContent = 'Play Sequencer';
         this.ui.playStopSequencer.classList.remove('active');
         this.seqStepElements.forEach(el => el.classList.remove('playing'));
+        this.queuedPatternIndex = null;
+        this.updatePatternBankUI();
+        this.updateSongUI();
     }
 
-    sequencerStep() {
+    // Vapauttaa slide-askeleen pitämät nuotit (esim. kun sekvensseri pysäytetään)
+    releaseSlidingNote() {
+        this.slidingNoteIds.forEach(id => this.callbacks.stopNote(id));
+        this.slidingNoteIds = [];
+        this.tiedNotes.clear();
+    }
+
+    /**
+     * Ajastaa kaikki seuraavan LOOKAHEAD-ikkunan 16-osat audiokelloon. setTimeout vain herättää
+     * tämän; tarkat ajat tulevat nextTickTime-laskurista, joten kiireinen välilehti ei siirrä iskuja.
+     * Ikkunaa pidennetään niin paljon kuin iskut voivat soida tick-aikaansa aiemmin (getMaxEarlyOffset).
+     */
+    scheduler() {
         if (!this.sequencerPlaying) return;
+        const horizon = this.audioContext.currentTime + this.LOOKAHEAD + this.getMaxEarlyOffset();
+        while (this.nextTickTime < horizon) {
+            // Tahti = 16 tickiä; pattern vaihtuu vain tahdin rajalla (ei kuitenkaan heti käynnistyksessä)
+            if (this.currentGateStep === 0 && this.barCount++ > 0) this.advanceBar(this.nextTickTime);
+            this.scheduleTick(this.currentGateStep, this.nextTickTime);
+            this.nextTickTime += (60.0 / this.bpm) / 4.0;
+            this.currentGateStep = (this.currentGateStep + 1) % 16;
+        }
+        this.seqTimerId = setTimeout(() => this.scheduler(), this.SCHEDULER_INTERVAL);
+    }
+
+    // Kuinka paljon ennen tick-aikaansa askeleen iskut voivat soida (negatiivinen nudge ja humanize)
+    getMaxEarlyOffset() {
+        const stepDuration = (60.0 / this.bpm) / 4.0 * (16 / this.SEQ_LENGTH);
+        const earliestNudge = Math.min(0, ...this.sequencerPattern.map(step => step ? step.nudge : 0));
+        return -earliestNudge * stepDuration + this.humanizeTiming / 1000;
+    }
+
+    // Satunnainen ajoituspoikkeama sekunteina, arvotaan erikseen jokaiselle iskulle
+    getHumanizeOffset() {
+        return (Math.random() * 2 - 1) * this.humanizeTiming / 1000;
+    }
+
+    getHumanizedVelocity(velocity) {
+        const varied = Math.round(velocity + (Math.random() * 2 - 1) * this.humanizeVelocity);
+        return Math.min(127, Math.max(1, varied));
+    }
+
+    // Trig-ehto nykyisellä kuvion kierroksella; A:B soi kierroksilla A, A+B, A+2B...
+    checkTrigCondition(condition) {
+        switch (condition) {
+            case 'fill': return this.fillActive;
+            case '!fill': return !this.fillActive;
+            case 'first': return this.patternLoop === 0;
+            case '!first': return this.patternLoop > 0;
+            default: {
+                const match = /^(\d+):(\d+)$/.exec(condition);
+                if (!match) return true;
+                return this.patternLoop % parseInt(match[2]) === parseInt(match[1]) - 1;
+            }
+        }
+    }
+
+    shouldTrigger(trig) {
+        return this.checkTrigCondition(trig.condition) && Math.random() < trig.probability;
+    }
+
+    // Kutsuu funktion suunnilleen audiokellon hetkellä time (asiat, joita ei voi ajastaa Web Audiolla)
+    callAtTime(time, fn) {
+        const id = setTimeout(() => {
+            this.pendingCallbacks.delete(id);
+            fn();
+        }, Math.max(0, time - this.audioContext.currentTime) * 1000);
+        this.pendingCallbacks.add(id);
+    }
+
+    // Playhead piirretään omassa silmukassaan: näytetään viimeisin askel, jonka aika on jo koittanut
+    drawPlayhead() {
+        if (!this.sequencerPlaying) return;
+        const now = this.audioContext.currentTime;
+        let step = null;
+        while (this.playheadQueue.length > 0 && this.playheadQueue[0].time <= now) {
+            step = this.playheadQueue.shift().step;
+        }
+        if (step !== null) {
+            this.seqStepElements.forEach(el => el.classList.remove('playing'));
+            if (this.seqStepElements[step]) this.seqStepElements[step].classList.add('playing');
+        }
+        this.playheadFrameId = requestAnimationFrame(() => this.drawPlayhead());
+    }
+
+    // Gate-askeleen automaatio tarkalla alkuhetkellä: auki gateLength-osan 16-osasta, muuten syvyyden tasolla
+    scheduleGate(param, isOpen, openValue, closedValue, gateLengthMultiplier, time, timePer16thNote) {
+        param.cancelScheduledValues(time);
+        if (isOpen) {
+            param.setTargetAtTime(openValue, time, 0.002);
+            if (gateLengthMultiplier < 1.0) {
+                param.setTargetAtTime(closedValue, time + timePer16thNote * gateLengthMultiplier, 0.002);
+            }
+        } else {
+            param.setTargetAtTime(closedValue, time, 0.002);
+        }
+    }
 
-        const time = this.audioContext.currentTime;
-        const ticksPerMainStep = 16 / this.SEQ_LENGTH;
+    /**
+     * Ajastaa yhden 16-osan (tick 0-15) hetkeen time: gatet, rummut ja nuotin alku/loppu.
+     * Gatet ja playhead pysyvät ruudukossa; nuotit ja rummut siirtyvät swingin, nudgen ja humanizen verran.
+     */
+    scheduleTick(tick, time) {
+        const pattern = this.getScheduledPattern(time);
+        const ticksPerMainStep = 16 / pattern.length;
         const timePer16thNote = (60.0 / this.bpm) / 4.0;
         const effects = this.callbacks.effects;
 
         // --- Gate Logic ---
         if (effects.tremolo.active) {
-            const gain = effects.tremolo.nodes.tremoloGain.gain;
             const depthTarget = 1.0 - parseFloat(this.ui.tremoloDepth.value);
-            gain.cancelScheduledValues(time);
-            if (this.tremoloGatePattern[this.currentGateStep]) {
-                const gateLengthMultiplier = parseFloat(this.ui.tremoloGateLength.value);
-                const onDuration = timePer16thNote * gateLengthMultiplier;
-                gain.setTargetAtTime(1.0, time, 0.002);
-                if (gateLengthMultiplier < 1.0) {
-                   gain.setTargetAtTime(depthTarget, time + onDuration, 0.002);
-                }
-            } else {
-                gain.setTargetAtTime(depthTarget, time, 0.002);
-            }
+            this.scheduleGate(effects.tremolo.nodes.tremoloGain.gain, pattern.tremoloGate[tick], 1.0, depthTarget,
+                parseFloat(this.ui.tremoloGateLength.value), time, timePer16thNote);
         }
 
         if (effects.fxGate.active) {
-            const destination = this.ui.fxGateDestination.value;
-            const target = effects.fxGate.getTarget(destination);
+            const target = effects.fxGate.getTarget(this.ui.fxGateDestination.value);
             if (target && target.param) {
-                const gain = target.param;
-                const baseValue = target.baseValue;
-                const depthTarget = baseValue * (1.0 - parseFloat(this.ui.fxGateDepth.value));
-                gain.cancelScheduledValues(time);
-                 if (this.fxGatePattern[this.currentGateStep]) {
-                    const gateLengthMultiplier = parseFloat(this.ui.fxGateGateLength.value);
-                    const onDuration = timePer16thNote * gateLengthMultiplier;
-                    gain.setTargetAtTime(baseValue, time, 0.002);
-                    if (gateLengthMultiplier < 1.0) {
-                       gain.setTargetAtTime(depthTarget, time + onDuration, 0.002);
-                    }
-                } else {
-                    gain.setTargetAtTime(depthTarget, time, 0.002);
-                }
+                const depthTarget = target.baseValue * (1.0 - parseFloat(this.ui.fxGateDepth.value));
+                this.scheduleGate(target.param, pattern.fxGate[tick], target.baseValue, depthTarget,
+                    parseFloat(this.ui.fxGateGateLength.value), time, timePer16thNote);
             }
         }
 
         // --- Main Sequencer Logic ---
-        if (this.currentGateStep % ticksPerMainStep === 0) {
-            this.currentSeqStep = Math.floor(this.currentGateStep / ticksPerMainStep);
-            
-            this.seqStepElements.forEach(el => el.classList.remove('playing'));
-            if (this.seqStepElements[this.currentSeqStep]) {
-                this.seqStepElements[this.currentSeqStep].classList.add('playing');
+        if (tick % ticksPerMainStep !== 0) return;
+        const stepIndex = Math.floor(tick / ticksPerMainStep);
+        this.currentSeqStep = stepIndex;
+        this.playheadQueue.push({ step: stepIndex, time: time });
+        // Piilotetussa välilehdessä requestAnimationFrame ei aja, joten jono ei saa kasvaa rajatta
+        if (this.playheadQueue.length > this.SEQ_LENGTH * 2) this.playheadQueue.shift();
+        this.recordTimeline.push({ steps: pattern.steps, step: stepIndex, time: time, duration: timePer16thNote * ticksPerMainStep, pass: this.barCount });
+        if (this.recordTimeline.length > this.SEQ_LENGTH * 2) this.recordTimeline.shift();
+
+        const stepData = pattern.steps[stepIndex];
+        // Askeleen morph-arvo on voimassa askeleen ajan, tyhjä askel palauttaa liukusäätimen arvon
+        const morph = stepData ? stepData.morph : null;
+        const locks = stepData ? stepData.locks : {};
+        this.callAtTime(time, () => {
+            this.callbacks.setTimbreMorph(morph);
+            this.applyStepLocks(locks);
+        });
+        if (!stepData) return;
+
+        const slideFrom = this.slidingNoteIds;
+        const slideFromLocks = this.slidingNoteLocks;
+        this.slidingNoteIds = [];
+        const noteLocks = this.getNoteLocks(stepData.locks);
+        const stepDuration = timePer16thNote * ticksPerMainStep;
+        // Swing koskee joka toista askelta; 16 askeleen kuviossa ne ovat parilliset 16-osat
+        const swingOffset = stepIndex % 2 === 1 ? this.swing * stepDuration : 0;
+        const stepTime = time + (stepData.nudge || 0) * stepDuration;
+        const noteTime = stepTime + (this.swingMelodic ? swingOffset : 0) + this.getHumanizeOffset();
+        const drumTime = stepTime + (this.swingDrums ? swingOffset : 0);
+        const velocity = Math.min(127, stepData.velocity + (stepData.accent ? this.ACCENT_VELOCITY_BOOST : 0));
+        // Ratchet jakaa askeleen tasaisiin uudelleeniskuihin; gate on silloin iskun osuus, ei slidea eikä sidontaa
+        const noteTrig = stepData.trigs.notes;
+        const hitDuration = stepDuration / noteTrig.ratchet;
+        const hitLength = noteTrig.ratchet > 1 ? hitDuration * Math.min(1, stepData.gate) : stepDuration * stepData.gate;
+        const nextStep = pattern.steps[(stepIndex + 1) % pattern.length];
+        const slides = stepData.slide && noteTrig.ratchet === 1 && nextStep && nextStep.notes.length > 0;
+        const playedIds = [];
+        const notes = this.isLaneAudible('notes', pattern.mutes, pattern.solos) && this.shouldTrigger(noteTrig) ? stepData.notes : [];
+
+        notes.forEach((note, n) => {
+            if (note.baseFreq == null) return;
+            const uniqueId = `${note.baseNoteName}_${note.octaveShift || 0}_seq`; // Sama muoto kuin main.js:n sekvensseri-id
+            if (playedIds.includes(uniqueId)) return;
+            playedIds.push(uniqueId);
+            // Sidottu nuotti soi vielä edellisestä askeleesta: sama nuotti jatkuu eikä iske uudelleen
+            if (this.tiedNotes.has(uniqueId) && this.tiedNotes.get(uniqueId) > noteTime && !slideFrom.includes(uniqueId)) return;
+
+            // Soinnun nuotit liukuvat edellisen slide-askeleen nuotteihin samassa järjestyksessä
+            const from = slideFrom[n] || null;
+            let noteEnd = noteTime;
+            for (let hit = 0; hit < noteTrig.ratchet; hit++) {
+                const hitTime = noteTime + hit * hitDuration;
+                this.callbacks.playNote(
+                    note.baseNoteName, 
+                    note.baseFreq, 
+                    this.getHumanizedVelocity(velocity), 
+                    null, 
+                    true, 
+                    stepData.volume, 
+                    note.octaveShift || 0,
+                    from && hit === 0 ? { slide: true, slideFrom: from, time: hitTime, locks: noteLocks } : { time: hitTime, locks: noteLocks }
+                );
+                noteEnd = hitTime + hitLength;
+                if (!slides) this.callbacks.stopNote(uniqueId, null, noteEnd, { locks: noteLocks });
             }
 
-            const stepData = this.sequencerPattern[this.currentSeqStep];
-            if (stepData) {
-                if (stepData.baseNoteName && stepData.baseFreq != null) {
-                    const stepVolume = stepData.volume;
-                    const uniqueId = `${stepData.baseNoteName}_seq`;
-                    
-                    this.callbacks.playNote(
-                        stepData.baseNoteName, 
-                        stepData.baseFreq, 
-                        100, 
-                        null, 
-                        true, 
-                        stepVolume, 
-                        stepData.octaveShift 
-                    );
-
-                    const noteDurationSeconds = (timePer16thNote * ticksPerMainStep) * 0.98;
-                    setTimeout(() => {
-                        this.callbacks.stopNote(uniqueId);
-                    }, noteDurationSeconds * 1000);
-                }
+            if (slides) {
+                // Slide: nuottia ei vapauteta, seuraava askel liukuu siihen
+                this.slidingNoteIds.push(uniqueId);
+                this.slidingNoteLocks = noteLocks;
+                this.tiedNotes.delete(uniqueId);
+            } else if (noteEnd > noteTime + stepDuration) {
+                this.tiedNotes.set(uniqueId, noteEnd);
+            } else {
+                this.tiedNotes.delete(uniqueId);
+            }
+        });
 
-                if (stepData.kick) this.createKickSound();
-                if (stepData.snare) this.createSnareSound();
-                if (stepData.hat) this.createHatSound();
+        // Edelliset slide-nuotit vapautetaan vasta kun uudet ovat liukuneet niihin (sama nuotti jatkuu sellaisenaan)
+        slideFrom.forEach(id => { if (!playedIds.includes(id)) this.callbacks.stopNote(id, null, noteTime, { locks: slideFromLocks }); });
+
+        // Rummuilla ei ole omaa velocityä: humanize vaihtelee iskun tasoa oletusvelocityn ympärillä
+        const drumLevel = () => this.getHumanizedVelocity(this.DEFAULT_STEP_VELOCITY) / this.DEFAULT_STEP_VELOCITY;
+        this.drumTracks.forEach(track => {
+            const trig = this.getTrig(stepData, track.id);
+            if (!stepData.drums[track.id] || !this.isLaneAudible(track.id, pattern.mutes, pattern.solos) || !this.shouldTrigger(trig)) return;
+            const lockedTrack = this.getLockedDrumTrack(track, stepData.locks);
+            for (let hit = 0; hit < trig.ratchet; hit++) {
+                this.playDrumTrack(lockedTrack, drumTime + hit * stepDuration / trig.ratchet + this.getHumanizeOffset(), drumLevel());
             }
+        });
+    }
+
+    // --- Pattern Banks & Song Mode ---
+
+    getPatternLabel(index) {
+        return `${this.PATTERN_BANKS[Math.floor(index / this.PATTERNS_PER_BANK)]}${(index % this.PATTERNS_PER_BANK) + 1}`;
+    }
+
+    clonePattern(pattern) {
+        if (!pattern) return null;
+        return {
+            length: pattern.length,
+            steps: pattern.steps.map(step => this.cloneStep(step)),
+            tremoloGate: [...pattern.tremoloGate],
+            fxGate: [...pattern.fxGate],
+            mutes: { ...pattern.mutes },
+            solos: { ...pattern.solos }
+        };
+    }
+
+    // Tallentaa työkuvion nykyiseen pankkipaikkaan
+    storeCurrentPattern() {
+        this.patterns[this.currentPatternIndex] = this.clonePattern({
+            length: this.SEQ_LENGTH,
+            steps: this.sequencerPattern,
+            tremoloGate: this.tremoloGatePattern,
+            fxGate: this.fxGatePattern,
+            mutes: this.laneMutes,
+            solos: this.laneSolos
+        });
+    }
+
+    // Pankkipaikan kuvio työkuvion muodossa; tyhjä paikka antaa tyhjän kuvion nykyisellä pituudella
+    readPattern(index) {
+        const pattern = this.patterns[index];
+        const length = pattern ? pattern.length : this.SEQ_LENGTH;
+        return {
+            length: length,
+            steps: Array.from({ length: length }, (_, i) => this.normalizeStep(pattern && pattern.steps[i])),
+            tremoloGate: pattern ? [...pattern.tremoloGate] : Array(16).fill(false),
+            fxGate: pattern ? [...pattern.fxGate] : Array(16).fill(false),
+            mutes: pattern ? { ...pattern.mutes } : {},
+            solos: pattern ? { ...pattern.solos } : {}
+        };
+    }
+
+    // Ottaa kuvion työkuvioksi (oletuksena pankkipaikasta luettuna)
+    loadPattern(index, state = this.readPattern(index)) {
+        this.currentPatternIndex = index;
+        this.SEQ_LENGTH = state.length;
+        this.sequencerPattern = state.steps;
+        // Gate-askelten kuuntelijat viittaavat näihin taulukoihin, joten ne päivitetään paikallaan
+        this.tremoloGatePattern.splice(0, 16, ...state.tremoloGate);
+        this.fxGatePattern.splice(0, 16, ...state.fxGate);
+        this.laneMutes = state.mutes;
+        this.laneSolos = state.solos;
+    }
+
+    // Kuvio, josta hetkellä time alkava tick soitetaan: tahdin rajalla vaihtuva kuvio soi jo ennen kuin se on muokattavana
+    getScheduledPattern(time) {
+        if (this.pendingPattern && time >= this.pendingPattern.time) return this.pendingPattern.state;
+        return { length: this.SEQ_LENGTH, steps: this.sequencerPattern, tremoloGate: this.tremoloGatePattern, fxGate: this.fxGatePattern, mutes: this.laneMutes, solos: this.laneSolos };
+    }
+
+    // Tahdin raja on soinut: ajastettu kuvio tulee työkuvioksi ja näkyviin
+    applyPendingPattern() {
+        const pending = this.pendingPattern;
+        if (!pending) return;
+        this.pendingPattern = null;
+        this.storeCurrentPattern();
+        this.loadPattern(pending.index, pending.state);
+        this.refreshPatternUI();
+    }
+
+    switchPattern(index) {
+        if (index !== this.currentPatternIndex) {
+            this.storeCurrentPattern();
+            this.loadPattern(index);
+            this.patternLoop = 0;
         }
+        this.refreshPatternUI();
+    }
 
-        // --- Advance Clocks ---
-        this.currentGateStep = (this.currentGateStep + 1) % 16;
-        this.seqTimerId = setTimeout(() => this.sequencerStep(), timePer16thNote * 1000);
+    refreshPatternUI() {
+        this.ui.numStepsSelect.value = this.SEQ_LENGTH;
+        this.setCurrentEditStep(null);
+        this.initializeSequencerUI();
+        this.updateGateUI(this.ui.tremoloGateStepsContainer, this.tremoloGatePattern);
+        this.updateGateUI(this.ui.fxGateStepsContainer, this.fxGatePattern);
+        this.updateLaneMixerUI();
+        this.updatePatternBankUI();
+        this.updateSongUI();
+    }
+
+    // Soiton aikana valinta jonotetaan tahdin loppuun, pysähdyksissä vaihdetaan heti
+    selectPattern(index) {
+        if (!this.sequencerPlaying) {
+            this.switchPattern(index);
+            return;
+        }
+        this.queuedPatternIndex = index === this.currentPatternIndex ? null : index;
+        this.updatePatternBankUI();
+    }
+
+    /**
+     * Kutsutaan jokaisen tahdin alussa (time = tahdin ensimmäisen tickin aika).
+     * Song mode etenee toistojen mukaan, muuten vaihdetaan jonotettuun patterniin.
+     */
+    advanceBar(time) {
+        this.patternLoop++;
+        let next = null;
+        if (this.songMode && this.songList.length > 0) {
+            const entry = this.songList[this.songPosition];
+            this.songRepeat++;
+            if (!entry || this.songRepeat >= entry.repeats) {
+                this.songPosition = (this.songPosition + 1) % this.songList.length;
+                this.songRepeat = 0;
+            }
+            next = this.songList[this.songPosition].pattern;
+        } else if (this.queuedPatternIndex !== null) {
+            next = this.queuedPatternIndex;
+        }
+        this.queuedPatternIndex = null;
+        if (next === null) return;
+
+        const changed = next !== this.currentPatternIndex;
+        if (changed) {
+            // Uusi kuvio ajastetaan heti (getScheduledPattern), mutta muokattavaksi ja näkyviin se tulee vasta
+            // kun tahti alkaa soida; siihen asti muokkaukset kohdistuvat vielä soivaan kuvioon
+            this.pendingPattern = { index: next, time: time, state: this.readPattern(next) };
+            this.patternLoop = 0;
+        }
+        this.callAtTime(time, () => changed ? this.applyPendingPattern() : this.updateSongUI());
+    }
+
+    copyPattern() {
+        this.storeCurrentPattern();
+        this.patternClipboard = this.clonePattern(this.patterns[this.currentPatternIndex]);
+        this.ui.patternStatus.textContent = `Copied ${this.getPatternLabel(this.currentPatternIndex)}`;
+    }
+
+    pastePattern() {
+        if (!this.patternClipboard) return;
+        this.patterns[this.currentPatternIndex] = this.clonePattern(this.patternClipboard);
+        this.loadPattern(this.currentPatternIndex);
+        this.refreshPatternUI();
+        this.ui.patternStatus.textContent = `Pasted into ${this.getPatternLabel(this.currentPatternIndex)}`;
+    }
+
+    initializePatternBankUI() {
+        this.ui.patternBankButtons.innerHTML = '';
+        this.PATTERN_BANKS.forEach((bank, b) => {
+            const button = document.createElement('button');
+            button.className = 'pattern-bank';
+            button.textContent = bank;
+            button.addEventListener('click', () => { this.visibleBank = b; this.updatePatternBankUI(); });
+            this.ui.patternBankButtons.appendChild(button);
+        });
+
+        this.ui.patternSlotButtons.innerHTML = '';
+        for (let i = 0; i < this.PATTERNS_PER_BANK; i++) {
+            const button = document.createElement('button');
+            button.className = 'pattern-slot';
+            button.textContent = i + 1;
+            button.addEventListener('click', () => this.selectPattern(this.visibleBank * this.PATTERNS_PER_BANK + i));
+            this.ui.patternSlotButtons.appendChild(button);
+        }
+        this.updatePatternBankUI();
+        this.updateSongUI();
+    }
+
+    updatePatternBankUI() {
+        if (!this.ui.patternSlotButtons.children.length) return;
+        Array.from(this.ui.patternBankButtons.children).forEach((button, b) => {
+            button.classList.toggle('active', b === this.visibleBank);
+            button.classList.toggle('current', b === Math.floor(this.currentPatternIndex / this.PATTERNS_PER_BANK));
+        });
+        Array.from(this.ui.patternSlotButtons.children).forEach((button, i) => {
+            const index = this.visibleBank * this.PATTERNS_PER_BANK + i;
+            button.classList.toggle('active', index === this.currentPatternIndex);
+            button.classList.toggle('queued', index === this.queuedPatternIndex);
+            button.classList.toggle('filled', !!this.patterns[index]);
+        });
+        const queued = this.queuedPatternIndex !== null ? ` → ${this.getPatternLabel(this.queuedPatternIndex)} at bar end` : '';
+        this.ui.patternStatus.textContent = `Pattern ${this.getPatternLabel(this.currentPatternIndex)}${queued}`;
+    }
+
+    // --- Song Mode ---
+
+    setSongMode(enabled) {
+        this.songMode = enabled;
+        this.queuedPatternIndex = null;
+        this.updatePatternBankUI();
+        this.updateSongUI();
+    }
+
+    addSongEntry(patternIndex) {
+        this.songList.push({ pattern: patternIndex, repeats: 1 });
+        this.updateSongUI();
+    }
+
+    updateSongUI() {
+        this.ui.toggleSongMode.classList.toggle('active', this.songMode);
+        this.ui.toggleSongMode.textContent = `Song Mode (${this.songMode ? 'ON' : 'OFF'})`;
+
+        const container = this.ui.songList;
+        container.innerHTML = '';
+        if (this.songList.length === 0) {
+            container.textContent = 'Song is empty: add patterns with "Add to Song".';
+            return;
+        }
+        this.songList.forEach((entry, i) => {
+            const row = document.createElement('div');
+            row.className = 'song-entry';
+            row.classList.toggle('playing', this.songMode && this.sequencerPlaying && i === this.songPosition);
+
+            const label = document.createElement('span');
+            label.textContent = `${i + 1}. ${this.getPatternLabel(entry.pattern)}`;
+            label.title = 'Click to edit this pattern';
+            label.addEventListener('click', () => this.selectPattern(entry.pattern));
+            row.appendChild(label);
+
+            const repeats = document.createElement('input');
+            repeats.type = 'number';
+            repeats.min = 1; repeats.max = 64;
+            repeats.value = entry.repeats;
+            repeats.title = 'Repeats';
+            repeats.addEventListener('change', (e) => { entry.repeats = Math.max(1, Math.min(64, parseInt(e.target.value) || 1)); e.target.value = entry.repeats; });
+            row.appendChild(repeats);
+
+            const remove = document.createElement('button');
+            remove.textContent = 'X';
+            remove.title = 'Remove from song';
+            remove.addEventListener('click', () => {
+                this.songList.splice(i, 1);
+                if (this.songPosition >= this.songList.length) this.songPosition = 0;
+                this.updateSongUI();
+            });
+            row.appendChild(remove);
+            container.appendChild(row);
+        });
     }
 
     // --- Gate UI Helper ---
@@ -574,33 +2070,62 @@ class DrumsAndSequencer {
     // --- Data Export/Import Helpers ---
 
     getData() {
+        this.storeCurrentPattern();
         return {
             bpm: this.bpm,
             volume: this.ui.sequencerVolume.value,
             length: this.SEQ_LENGTH,
-            pattern: this.sequencerPattern.map(p => p ? {...p} : null),
-            kickSample: this.bufferToData(this.kickSampleBuffer),
-            snareSample: this.bufferToData(this.snareSampleBuffer),
-            hatSample: this.bufferToData(this.hatSampleBuffer),
+            pattern: this.sequencerPattern.map(p => p ? this.cloneStep(p) : null),
+            drumTracks: this.drumTracks.map(track => ({
+                id: track.id, name: track.name, voice: track.voice, tune: track.tune, decay: track.decay, pan: track.pan, volume: track.volume, choke: track.choke,
+                synth: Object.fromEntries(Object.entries(track.synth).map(([engine, params]) => [engine, { ...params }])),
+                sample: this.bufferToData(track.sample), sampleName: track.sampleName
+            })),
             tremoloGate: [...this.tremoloGatePattern],
-            fxGate: [...this.fxGatePattern]
+            fxGate: [...this.fxGatePattern],
+            mutes: { ...this.laneMutes },
+            solos: { ...this.laneSolos },
+            patterns: this.patterns.map(p => this.clonePattern(p)),
+            currentPattern: this.currentPatternIndex,
+            song: { enabled: this.songMode, entries: this.songList.map(e => ({ ...e })) },
+            swing: { amount: this.swing, drums: this.swingDrums, melodic: this.swingMelodic },
+            humanize: { timing: this.humanizeTiming, velocity: this.humanizeVelocity }
         };
     }
 
     applyData(data) {
         if (!data) return;
+        this.clearGeneratorUndo();
         
-        if (data.kickSample) this.kickSampleBuffer = this.dataToBuffer(data.kickSample);
-        if (data.snareSample) this.snareSampleBuffer = this.dataToBuffer(data.snareSample);
-        if (data.hatSample) this.hatSampleBuffer = this.dataToBuffer(data.hatSample);
-        
-        this.ui.kickSampleName.textContent = this.kickSampleBuffer ? "Loaded Sample" : "Default";
-        this.ui.snareSampleName.textContent = this.snareSampleBuffer ? "Loaded Sample" : "Default";
-        this.ui.hatSampleName.textContent = this.hatSampleBuffer ? "Loaded Sample" : "Default";
+        // Rumpuraidat ennen kuvioita, koska askelnäkymä rakennetaan raitojen mukaan. Vanhoissa tiedostoissa on
+        // kiinteät kick/snare/hat-samplet ja -voimakkuudet: ne ladataan kolmelle ensimmäiselle raidalle
+        // (ilman sampleja säilytetään raidan nykyinen sample). Tiedosto ilman rumpuja (esim. preset) ei muuta raitoja.
+        if (Array.isArray(data.drumTracks)) {
+            this.setDrumTracks(data.drumTracks.map(track => ({ ...track, sample: this.dataToBuffer(track.sample) })));
+        } else if (['kickSample', 'snareSample', 'hatSample', 'kickVolume', 'snareVolume', 'hatVolume'].some(key => data[key] != null)) {
+            const legacy = [['kick', data.kickSample, data.kickVolume, 1.0], ['snare', data.snareSample, data.snareVolume, 1.0], ['hat', data.hatSample, data.hatVolume, 0.8]];
+            this.setDrumTracks(legacy.map(([id, sampleData, volume, defaultVolume]) => {
+                const current = this.drumTracks.find(t => t.id === id);
+                const sample = sampleData ? this.dataToBuffer(sampleData) : (current ? current.sample : null);
+                return { id: id, voice: id, volume: volume || defaultVolume, sample: sample, sampleName: sampleData ? null : (current ? current.sampleName : null) };
+            }));
+        }
 
         this.ui.bpmSlider.value = data.bpm || 120; 
         this.bpm = data.bpm || 120;
         this.ui.sequencerVolume.value = data.volume || 0.7;
+
+        const swing = data.swing || {};
+        const humanize = data.humanize || {};
+        this.swing = swing.amount || 0;
+        this.swingDrums = swing.drums !== false;
+        this.swingMelodic = swing.melodic !== false;
+        this.humanizeTiming = humanize.timing || 0;
+        this.humanizeVelocity = humanize.velocity || 0;
+        this.ui.seqSwing.value = this.swing;
+        this.ui.seqHumanizeTime.value = this.humanizeTiming;
+        this.ui.seqHumanizeVelocity.value = this.humanizeVelocity;
+        this.updateGrooveUI();
         
         const newLength = data.length || 8;
         if (this.SEQ_LENGTH !== newLength) {
@@ -609,18 +2134,40 @@ class DrumsAndSequencer {
         }
         
         if (data.pattern) {
-            this.sequencerPattern = Array.from({ length: this.SEQ_LENGTH }, (_, i) => (data.pattern[i]) || this.createEmptyStep());
+            this.sequencerPattern = Array.from({ length: this.SEQ_LENGTH }, (_, i) => this.normalizeStep(data.pattern[i]));
+            this.laneMutes = { ...data.mutes };
+            this.laneSolos = { ...data.solos };
             this.initializeSequencerUI();
+            this.updateLaneMixerUI();
         }
 
+        // Päivitetään paikallaan, koska gate-askelten kuuntelijat viittaavat näihin taulukoihin
         if (data.tremoloGate) {
-            this.tremoloGatePattern = [...data.tremoloGate];
+            this.tremoloGatePattern.splice(0, 16, ...data.tremoloGate);
             this.updateGateUI(this.ui.tremoloGateStepsContainer, this.tremoloGatePattern);
         }
         if (data.fxGate) {
-            this.fxGatePattern = [...data.fxGate];
+            this.fxGatePattern.splice(0, 16, ...data.fxGate);
             this.updateGateUI(this.ui.fxGateStepsContainer, this.fxGatePattern);
         }
+
+        // Pankit ja song: vanhoissa tiedostoissa on vain yksi kuvio, joka tulee paikkaan A1
+        const slotCount = this.PATTERN_BANKS.length * this.PATTERNS_PER_BANK;
+        this.patterns = Array.from({ length: slotCount }, (_, i) => {
+            const pattern = data.patterns && data.patterns[i];
+            return pattern ? this.clonePattern({ ...pattern, steps: pattern.steps.map(step => this.normalizeStep(step)) }) : null;
+        });
+        this.currentPatternIndex = Math.min(slotCount - 1, Math.max(0, data.currentPattern || 0));
+        this.visibleBank = Math.floor(this.currentPatternIndex / this.PATTERNS_PER_BANK);
+        this.queuedPatternIndex = null;
+        this.storeCurrentPattern();
+        const song = data.song || {};
+        this.songList = (song.entries || []).filter(e => e && e.pattern >= 0 && e.pattern < slotCount).map(e => ({ pattern: e.pattern, repeats: Math.max(1, parseInt(e.repeats) || 1) }));
+        this.songMode = !!song.enabled;
+        this.songPosition = 0;
+        this.songRepeat = 0;
+        this.updatePatternBankUI();
+        this.updateSongUI();
     }
 
     bufferToData(buffer) {
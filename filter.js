@@ -0,0 +1,118 @@
+/**
+ * Synthwave Lab - Voice Filter Module
+ * Äänikohtaisen multimode-suodattimen asetukset (LP/HP/BP, 12/24 dB),
+ * oma suodin-ADSR sekä verhokäyrän visualisointi adsr.js:n tyyliin.
+ * Itse suodattimet rakennetaan SineEngine.play:ssa jokaiselle äänelle.
+ * Toimii ilman palvelinta globaalin alustusfunktion kautta.
+ */
+
+window.initSynthLabVoiceFilter = (ui) => {
+    'use strict';
+
+    /**
+     * Palauttaa nykyiset suodinasetukset objektina SineEnginelle.
+     * envAmount, velocity ja keytrack ovat oktaaveina / suhteina, katso SineEngine.
+     * locks: sekvensserin askeleen lukot ({ säätimen id: arvo }), jotka korvaavat säätimien arvot.
+     */
+    const getSettings = (locks = {}) => {
+        const value = (name) => (name in locks ? locks[name] : ui[name].value);
+        return {
+            type: ui.filterType.value,
+            slope: parseInt(ui.filterSlope.value),
+            cutoff: parseFloat(value('filterCutoff')),
+            resonance: parseFloat(value('filterResonance')),
+            envAmount: parseFloat(value('filterEnvAmount')),
+            attack: parseFloat(value('filterAttack')),
+            decay: parseFloat(value('filterDecay')),
+            sustain: parseFloat(value('filterSustain')),
+            release: parseFloat(value('filterRelease')),
+            velocity: parseFloat(value('filterVelocity')),
+            keytrack: parseFloat(value('filterKeytrack'))
+        };
+    };
+
+    /**
+     * Piirtää suodin-ADSR:n sinisellä neon-värillä. Pystyakseli kuvaa cutoffin
+     * liikettä: positiivinen määrä nousee perustasosta ylös, negatiivinen alas.
+     */
+    const drawFilterCurve = () => {
+        const canvas = ui.filterCanvas;
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const styles = getComputedStyle(document.documentElement);
+        const s = getSettings();
+
+        ctx.fillStyle = styles.getPropertyValue('--color-bg-container-opaque').trim();
+        ctx.fillRect(0, 0, width, height);
+
+        // Sama aikajana kuin ADSR-käyrässä (kiinteä 1s sustain-vaihe)
+        const totalDuration = s.attack + s.decay + 1 + s.release;
+        const padding = 10;
+        const graphWidth = width - padding * 2;
+        const graphHeight = height - padding * 2;
+
+        const x1 = padding;
+        const x2 = padding + (s.attack / totalDuration) * graphWidth;
+        const x3 = padding + ((s.attack + s.decay) / totalDuration) * graphWidth;
+        const x4 = padding + ((s.attack + s.decay + 1) / totalDuration) * graphWidth;
+        const x5 = padding + graphWidth;
+
+        // Perustaso keskellä, täysi määrä (8 oktaavia) ylä- tai alareunassa
+        const MAX_OCTAVES = 8;
+        const yBase = padding + graphHeight / 2;
+        const yAt = (octaves) => yBase - (octaves / MAX_OCTAVES) * (graphHeight / 2);
+
+        // Katkoviiva = cutoffin perustaso
+        ctx.strokeStyle = styles.getPropertyValue('--color-bg-medium').trim();
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(padding, yBase);
+        ctx.lineTo(width - padding, yBase);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        const color = styles.getPropertyValue('--color-neon-blue').trim();
+        ctx.strokeStyle = s.type === 'off' ? styles.getPropertyValue('--color-text-dim').trim() : color;
+        ctx.lineWidth = 2;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = s.type === 'off' ? 0 : 4;
+
+        ctx.beginPath();
+        ctx.moveTo(x1, yBase);
+        ctx.lineTo(x2, yAt(s.envAmount));
+        ctx.lineTo(x3, yAt(s.envAmount * s.sustain));
+        ctx.lineTo(x4, yAt(s.envAmount * s.sustain));
+        ctx.lineTo(x5, yBase);
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+
+        // Tyyppi ja cutoff tekstinä vasempaan yläkulmaan
+        const typeLabels = { off: 'OFF', lowpass: 'LP', highpass: 'HP', bandpass: 'BP' };
+        ctx.fillStyle = styles.getPropertyValue('--color-text-secondary').trim();
+        ctx.font = '10px monospace';
+        ctx.fillText(`${typeLabels[s.type] || s.type} ${s.slope}dB  ${Math.round(s.cutoff)} Hz`, padding, padding + 2);
+    };
+
+    // --- TAPAHTUMANKUUNTELIJAT ---
+
+    const filterInputs = [
+        ui.filterType, ui.filterSlope, ui.filterCutoff, ui.filterResonance, ui.filterEnvAmount,
+        ui.filterAttack, ui.filterDecay, ui.filterSustain, ui.filterRelease
+    ];
+
+    filterInputs.forEach(input => {
+        if (input) input.addEventListener('input', drawFilterCurve);
+    });
+
+    // Ensimmäinen piirto alustuksen yhteydessä
+    drawFilterCurve();
+
+    // Rajapinta pääohjelmalle
+    return {
+        draw: drawFilterCurve,
+        getSettings: getSettings
+    };
+};
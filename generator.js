@@ -0,0 +1,145 @@
+/**
+ * generator.js - Synthwave Lab Harmonic Generator Module
+ * Laskee additiivisen editorin kerrokset kaavoista: saha, kantti, kolmio,
+ * pulssi ja formantti/vokaali sekä muokkaimet (venytys, pariton/parillinen, kallistus).
+ * Palauttaa pelkkää dataa { multiplier, amplitude, phaseDeg }, main.js kirjoittaa sen kenttiin.
+ */
+
+const HarmonicGenerator = (() => {
+    const MAX_PARTIALS = 64;
+    const FORMANT_BASE_FREQ = 110;  // Formantit lasketaan tälle perustaajuudelle (A2)
+    const FORMANT_BANDWIDTH = 160;  // Formanttipiikin leveys (Hz)
+    const FORMANT_FLOOR = 0.03;     // Piikkien välinen pohjataso
+
+    // Vokaalien formantit (F1, F2, F3) Hz ja suhteelliset voimakkuudet
+    const VOWELS = {
+        a: { freqs: [730, 1090, 2440], gains: [1, 0.5, 0.25] },
+        e: { freqs: [530, 1840, 2480], gains: [1, 0.45, 0.3] },
+        i: { freqs: [270, 2290, 3010], gains: [1, 0.3, 0.2] },
+        o: { freqs: [570, 840, 2410], gains: [1, 0.6, 0.15] },
+        u: { freqs: [300, 870, 2240], gains: [1, 0.35, 0.1] }
+    };
+
+    // --- MUODOT ---
+    // Jokainen muoto palauttaa k:nnen osasävelen etumerkillisen amplitudin ja vaiheen (astetta).
+    // Vaihemalli vastaa moottoria: a * sin(k * x + vaihe).
+
+    function formantGain(freq, vowel) {
+        const v = VOWELS[vowel] || VOWELS.a;
+        let gain = FORMANT_FLOOR;
+        v.freqs.forEach((f, j) => {
+            const x = (freq - f) / (FORMANT_BANDWIDTH / 2);
+            gain += v.gains[j] / (1 + x * x);
+        });
+        return gain;
+    }
+
+    const SHAPES = {
+        // Saha: kaikki osasävelet 1/k, parilliset vastavaiheessa
+        saw: (k) => ({ amplitude: 1 / k, phaseDeg: k % 2 === 0 ? 180 : 0 }),
+        // Kantti: parittomat 1/k
+        square: (k) => ({ amplitude: k % 2 === 1 ? 1 / k : 0, phaseDeg: 0 }),
+        // Kolmio: parittomat 1/k², etumerkki vuorottelee
+        triangle: (k) => ({ amplitude: k % 2 === 1 ? 1 / (k * k) : 0, phaseDeg: (k - 1) % 4 === 0 ? 0 : 180 }),
+        // Pulssi: kosinisarja sin(pi*k*w)/k, kosini = sini + 90 astetta
+        pulse: (k, options) => {
+            const a = Math.sin(Math.PI * k * options.pulseWidth) / k;
+            return { amplitude: Math.abs(a), phaseDeg: a >= 0 ? 90 : 270 };
+        },
+        // Formantti: sahan lähde vokaalin resonanssien läpi
+        formant: (k, options) => ({ amplitude: formantGain(k * FORMANT_BASE_FREQ, options.vowel) / k, phaseDeg: 0 })
+    };
+
+    // --- APUFUNKTIOT ---
+
+    // Pianomainen epäharmonisuus: f_k = k * sqrt(1 + B k²), normalisoituna niin että perussävel pysyy 1:nä
+    function stretchMultiplier(k, stretch) {
+        if (!stretch) return k;
+        const m = k * Math.sqrt(1 + stretch * k * k) / Math.sqrt(1 + stretch);
+        return Math.round(m * 1000) / 1000;
+    }
+
+    /**
+     * Summa-aaltomuodon huippuarvo yhden jakson yli (sama näytteistys kuin drawSummedWave).
+     */
+    function getPeak(partials) {
+        const steps = 512;
+        let peak = 0;
+        for (let s = 0; s < steps; s++) {
+            const x = (s / steps) * 2 * Math.PI;
+            let y = 0;
+            partials.forEach(p => { y += p.amplitude * Math.sin(x * p.multiplier + p.phaseDeg * Math.PI / 180); });
+            peak = Math.max(peak, Math.abs(y));
+        }
+        return peak;
+    }
+
+    const roundAmp = (value) => Math.round(Math.min(1, Math.max(0, value)) * 1000) / 1000;
+    const wrapDeg = (deg) => ((Math.round(deg) % 360) + 360) % 360;
+
+    // --- JULKISET ---
+
+    /**
+     * Skaalaa amplitudit niin, että summa-aallon huippu on 'peak' (oletus 1).
+     */
+    function normalize(partials, peak) {
+        const target = peak || 1;
+        const current = getPeak(partials);
+        if (current <= 0) return partials.map(p => ({ ...p }));
+        const scale = target / current;
+        return partials.map(p => ({ ...p, amplitude: roundAmp(p.amplitude * scale) }));
+    }
+
+    // Kääntää aaltomuodon napaisuuden (+180 astetta jokaiselle osasävelelle)
+    function invertPhases(partials) {
+        return partials.map(p => ({ ...p, phaseDeg: wrapDeg(p.phaseDeg + 180) }));
+    }
+
+    /**
+     * Satunnaistaa muodon sisällä: amplitudit vaihtelevat ±amount suhteessa
+     * nykyiseen arvoon ja vaiheet arvotaan. Nollat pysyvät nollina, joten spektrin muoto säilyy.
+     */
+    function randomize(partials, amount) {
+        const spread = amount != null ? amount : 0.3;
+        return partials.map(p => p.amplitude > 0 ? {
+            ...p,
+            amplitude: roundAmp(p.amplitude * (1 + (Math.random() * 2 - 1) * spread)),
+            phaseDeg: Math.floor(Math.random() * 360)
+        } : { ...p });
+    }
+
+    /**
+     * Laskee kerrokset valitulle muodolle.
+     * options: { count, pulseWidth, vowel, stretch, oddEven (-1 = vain parittomat, 1 = vain parilliset), tilt (dB/oktaavi) }
+     */
+    function generate(shape, options) {
+        const shapeFn = SHAPES[shape];
+        if (!shapeFn) throw new Error(`Unknown generator shape: ${shape}`);
+        const opts = {
+            count: Math.min(MAX_PARTIALS, Math.max(1, parseInt(options.count) || 16)),
+            pulseWidth: Math.min(0.99, Math.max(0.01, options.pulseWidth != null ? options.pulseWidth : 0.5)),
+            vowel: options.vowel || 'a',
+            stretch: Math.max(0, options.stretch || 0),
+            oddEven: Math.min(1, Math.max(-1, options.oddEven || 0)),
+            tilt: options.tilt || 0
+        };
+        // Perussävel ei kuulu pariton/parillinen-tasapainoon, muuten -1 mykistäisi sen
+        const oddGain = Math.min(1, 1 - opts.oddEven);
+        const evenGain = Math.min(1, 1 + opts.oddEven);
+
+        const partials = [];
+        for (let k = 1; k <= opts.count; k++) {
+            const base = shapeFn(k, opts);
+            let amplitude = base.amplitude;
+            if (k > 1) amplitude *= k % 2 === 1 ? oddGain : evenGain;
+            amplitude *= Math.pow(10, (opts.tilt * Math.log2(k)) / 20);
+            partials.push({ multiplier: stretchMultiplier(k, opts.stretch), amplitude, phaseDeg: wrapDeg(base.phaseDeg) });
+        }
+        return normalize(partials, 1);
+    }
+
+    return { generate, normalize, invertPhases, randomize, getPeak, SHAPES: Object.keys(SHAPES), VOWELS: Object.keys(VOWELS), MAX_PARTIALS };
+})();
+
+// Eksportoidaan globaalisti käyttöön
+window.HarmonicGenerator = HarmonicGenerator;
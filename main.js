@@ -8,10 +8,11 @@ window.onload = () => {
     SineEngine.init(audioContext);
 
     let NUM_HARMONICS = 6;
+    const MAX_HARMONICS = 64; // Sama yläraja kuin HarmonicGenerator.MAX_PARTIALS
     let octaveShift = 0;
     const MAX_OCTAVE_SHIFT = 3;
     const MIN_OCTAVE_SHIFT = -3;
-    const activeNotes = new Map();
+    let voiceManager = null;
     let audioContextResumedByInteraction = false;
     const noteNameToMidiNumberMap = new Map();
     let skins = [];
@@ -24,18 +25,14 @@ window.onload = () => {
     const loadedCustomModules = new Map(); 
     let drumSeq;
     let midiModule = null;
+    const stepEntryKeys = new Set(); // Valittuun askeleeseen pidetyt näppäimet (sointu syötetään pitämällä useita)
 
 
     // --- AUDIO NODES ---
     const masterGain = audioContext.createGain();
     const keysVolumeNode = audioContext.createGain();
-    const kickVolumeNode = audioContext.createGain();
-    const snareVolumeNode = audioContext.createGain();
-    const hatVolumeNode = audioContext.createGain();
     masterGain.connect(audioContext.destination);
-    kickVolumeNode.connect(masterGain);
-    snareVolumeNode.connect(masterGain);
-    hatVolumeNode.connect(masterGain);
+    // Rumpuraitojen mikserikanavat luo DrumsAndSequencer, ne kytketään suoraan masterGainiin
 
     const effectsInputGate = audioContext.createGain();
     keysVolumeNode.connect(effectsInputGate);
@@ -56,12 +53,23 @@ window.onload = () => {
         masterVolume: document.getElementById('masterVolume'), masterVolumeVal: document.getElementById('masterVolumeVal'),
         keysVolume: document.getElementById('keysVolume'), keysVolumeVal: document.getElementById('keysVolumeVal'),
         pitchBendRange: document.getElementById('pitchBendRange'), pitchBendRangeVal: document.getElementById('pitchBendRangeVal'),
+        maxPolyphony: document.getElementById('maxPolyphony'), voiceStealMode: document.getElementById('voiceStealMode'), voiceStatus: document.getElementById('voiceStatus'),
+        loadSclBtn: document.getElementById('loadSclBtn'), loadSclFile: document.getElementById('loadSclFile'), loadKbmBtn: document.getElementById('loadKbmBtn'), loadKbmFile: document.getElementById('loadKbmFile'),
+        resetTuningBtn: document.getElementById('resetTuningBtn'), tuningStatus: document.getElementById('tuningStatus'),
+        voiceMode: document.getElementById('voiceMode'), notePriority: document.getElementById('notePriority'), glideTime: document.getElementById('glideTime'),
         randomizeAllSettingsBtn: document.getElementById('randomizeAllSettingsBtn'),
         // Timbre
+        engineMode: document.getElementById('engineMode'), loadWaveformBtn: document.getElementById('loadWaveformBtn'), loadWaveformFile: document.getElementById('loadWaveformFile'), resetWaveformBtn: document.getElementById('resetWaveformBtn'), engineStatus: document.getElementById('engineStatus'),
         numHarmonics: document.getElementById('numHarmonics'), applyHarmonicsBtn: document.getElementById('applyHarmonicsBtn'),
+        genShape: document.getElementById('genShape'), genCount: document.getElementById('genCount'), genVowel: document.getElementById('genVowel'), genPulseWidth: document.getElementById('genPulseWidth'), genStretch: document.getElementById('genStretch'), genOddEven: document.getElementById('genOddEven'), genTilt: document.getElementById('genTilt'),
+        toggleTimbreMorph: document.getElementById('toggleTimbreMorph'), storeMorphA: document.getElementById('storeMorphA'), storeMorphB: document.getElementById('storeMorphB'), recallMorphA: document.getElementById('recallMorphA'), recallMorphB: document.getElementById('recallMorphB'), morphStatus: document.getElementById('morphStatus'), timbreMorph: document.getElementById('timbreMorph'),
+        genApplyBtn: document.getElementById('genApplyBtn'), genNormalizeBtn: document.getElementById('genNormalizeBtn'), genInvertBtn: document.getElementById('genInvertBtn'), genRandomizeBtn: document.getElementById('genRandomizeBtn'),
+        analyzeSampleBtn: document.getElementById('analyzeSampleBtn'), analyzeSampleFile: document.getElementById('analyzeSampleFile'), analyzePartials: document.getElementById('analyzePartials'), analyzeEnvelopes: document.getElementById('analyzeEnvelopes'), analyzeStatus: document.getElementById('analyzeStatus'),
         additiveControlsContainer: document.getElementById('additive-controls'),
         freqMultInputs: [], ampInputs: [], ampValDisplays: [], phaseInputs: [], phaseValDisplays: [], harmonicCanvases: [],
-        timbreSumCanvas: document.getElementById('timbreSumCanvas'),
+        timbreSumCanvas: document.getElementById('timbreSumCanvas'), timbreRenderMode: document.getElementById('timbreRenderMode'),
+        // Unison
+        unisonVoices: document.getElementById('unisonVoices'), unisonDetune: document.getElementById('unisonDetune'), unisonSpread: document.getElementById('unisonSpread'),
         // Piano & Octave
         octaveUpBtn: document.getElementById('octaveUpBtn'), octaveDownBtn: document.getElementById('octaveDownBtn'),
         currentOctaveDisplay: document.getElementById('currentOctaveDisplay'), pianoKeys: document.querySelectorAll('#piano .key'),
@@ -74,9 +82,14 @@ window.onload = () => {
         adsrCanvas: document.getElementById('adsrCanvas'),
         signalFlowCanvas: document.getElementById('signalFlowCanvas'),
         // ADSR
+        // Voice Filter
+        filterType: document.getElementById('filterType'), filterSlope: document.getElementById('filterSlope'), filterCutoff: document.getElementById('filterCutoff'), filterResonance: document.getElementById('filterResonance'),
+        filterEnvAmount: document.getElementById('filterEnvAmount'), filterAttack: document.getElementById('filterAttack'), filterDecay: document.getElementById('filterDecay'), filterSustain: document.getElementById('filterSustain'), filterRelease: document.getElementById('filterRelease'),
+        filterVelocity: document.getElementById('filterVelocity'), filterKeytrack: document.getElementById('filterKeytrack'), filterCanvas: document.getElementById('filterCanvas'),
         adsrAttack: document.getElementById('adsrAttack'), adsrDecay: document.getElementById('adsrDecay'),
         adsrSustain: document.getElementById('adsrSustain'), adsrRelease: document.getElementById('adsrRelease'),
-        adsrVelocitySens: document.getElementById('adsrVelocitySens'),
+        adsrHold: document.getElementById('adsrHold'), adsrAttackCurve: document.getElementById('adsrAttackCurve'), adsrDecayCurve: document.getElementById('adsrDecayCurve'), adsrReleaseCurve: document.getElementById('adsrReleaseCurve'), adsrLoop: document.getElementById('adsrLoop'), adsrTrigger: document.getElementById('adsrTrigger'),
+        adsrVelocitySens: document.getElementById('adsrVelocitySens'), adsrVelocityCurve: document.getElementById('adsrVelocityCurve'), adsrVelocityTilt: document.getElementById('adsrVelocityTilt'), adsrKeyTilt: document.getElementById('adsrKeyTilt'),
         // Sequencer
         playStopSequencer: document.getElementById('playStopSequencer'), bpmSlider: document.getElementById('bpmSlider'), bpmVal: document.getElementById('bpmVal'),
         sequencerVolume: document.getElementById('sequencerVolume'), sequencerVolumeVal: document.getElementById('sequencerVolumeVal'),
@@ -84,13 +97,18 @@ window.onload = () => {
         sequencerStepsContainer: document.getElementById('sequencer-steps'), clearSelectedStepBtn: document.getElementById('clearSelectedStepBtn'),
         clearAllSeqBtn: document.getElementById('clearAllSeqBtn'),
         randomizeSequencerBtn: document.getElementById('randomizeSequencerBtn'),
+        seqStepEditorLabel: document.getElementById('seqStepEditorLabel'), seqStepVelocity: document.getElementById('seqStepVelocity'), seqStepVelocityVal: document.getElementById('seqStepVelocityVal'), seqStepGate: document.getElementById('seqStepGate'), seqStepGateVal: document.getElementById('seqStepGateVal'), seqStepAccent: document.getElementById('seqStepAccent'),
+        seqStepNudge: document.getElementById('seqStepNudge'), seqStepNudgeVal: document.getElementById('seqStepNudgeVal'),
+        seqHoldStep: document.getElementById('seqHoldStep'), seqClearLocks: document.getElementById('seqClearLocks'),
+        seqTrigLane: document.getElementById('seqTrigLane'), seqTrigProbability: document.getElementById('seqTrigProbability'), seqTrigProbabilityVal: document.getElementById('seqTrigProbabilityVal'), seqTrigCondition: document.getElementById('seqTrigCondition'), seqTrigRatchet: document.getElementById('seqTrigRatchet'), seqFill: document.getElementById('seqFill'), seqLaneMixer: document.getElementById('seqLaneMixer'),
+        seqGenMode: document.getElementById('seqGenMode'), seqGenLane: document.getElementById('seqGenLane'), seqGenHits: document.getElementById('seqGenHits'), seqGenSteps: document.getElementById('seqGenSteps'), seqGenRotation: document.getElementById('seqGenRotation'), seqGenDensity: document.getElementById('seqGenDensity'), seqGenTemplate: document.getElementById('seqGenTemplate'), seqGenerateBtn: document.getElementById('seqGenerateBtn'), seqGenUndoBtn: document.getElementById('seqGenUndoBtn'),
+        seqRecord: document.getElementById('seqRecord'), seqRecordMode: document.getElementById('seqRecordMode'), seqCountIn: document.getElementById('seqCountIn'), seqStepRecord: document.getElementById('seqStepRecord'),
+        seqSwing: document.getElementById('seqSwing'), seqSwingVal: document.getElementById('seqSwingVal'), seqSwingDrums: document.getElementById('seqSwingDrums'), seqSwingMelodic: document.getElementById('seqSwingMelodic'),
+        seqHumanizeTime: document.getElementById('seqHumanizeTime'), seqHumanizeTimeVal: document.getElementById('seqHumanizeTimeVal'), seqHumanizeVelocity: document.getElementById('seqHumanizeVelocity'), seqHumanizeVelocityVal: document.getElementById('seqHumanizeVelocityVal'),
+        patternBankButtons: document.getElementById('patternBankButtons'), patternSlotButtons: document.getElementById('patternSlotButtons'), copyPatternBtn: document.getElementById('copyPatternBtn'), pastePatternBtn: document.getElementById('pastePatternBtn'), patternStatus: document.getElementById('patternStatus'),
+        toggleSongMode: document.getElementById('toggleSongMode'), addSongEntryBtn: document.getElementById('addSongEntryBtn'), clearSongBtn: document.getElementById('clearSongBtn'), songList: document.getElementById('songList'),
         // Drum Samples & Mix
-        loadKickSample: document.getElementById('loadKickSample'), clearKickSampleBtn: document.getElementById('clearKickSampleBtn'), kickSampleName: document.getElementById('kickSampleName'),
-        kickVolume: document.getElementById('kickVolume'), kickVolumeVal: document.getElementById('kickVolumeVal'),
-        loadSnareSample: document.getElementById('loadSnareSample'), clearSnareSampleBtn: document.getElementById('clearSnareSampleBtn'), snareSampleName: document.getElementById('snareSampleName'),
-        snareVolume: document.getElementById('snareVolume'), snareVolumeVal: document.getElementById('snareVolumeVal'),
-        loadHatSample: document.getElementById('loadHatSample'), clearHatSampleBtn: document.getElementById('clearHatSampleBtn'), hatSampleName: document.getElementById('hatSampleName'),
-        hatVolume: document.getElementById('hatVolume'), hatVolumeVal: document.getElementById('hatVolumeVal'),
+        drumTrackList: document.getElementById('drumTrackList'), newDrumTrackVoice: document.getElementById('newDrumTrackVoice'), addDrumTrackBtn: document.getElementById('addDrumTrackBtn'),
         // EQ
         toggleEq: document.getElementById('toggleEq'), eqHpfCutoff: document.getElementById('eqHpfCutoff'), eqLowGain: document.getElementById('eqLowGain'), eqLowFreq: document.getElementById('eqLowFreq'),
         eqMidGain: document.getElementById('eqMidGain'), eqMidFreq: document.getElementById('eqMidFreq'), eqMidQ: document.getElementById('eqMidQ'),
@@ -151,6 +169,12 @@ window.onload = () => {
 
     // --- INITIALIZE ADSR MODULE ---
     const adsrModule = window.initSynthLabADSR(ui);
+    const voiceFilterModule = window.initSynthLabVoiceFilter(ui);
+
+    // --- INITIALIZE VOICE MANAGER ---
+    voiceManager = window.initSynthLabVoices(audioContext, ui, {
+        onVoiceStolen: (voice) => { if (voice.midiNote != null && midiModule) midiModule.sendMidiMessage([0x80, voice.midiNote, 0]); }
+    });
 
     // --- INITIALIZE EFFECTS FROM FX.JS ---
     const { 
@@ -172,9 +196,11 @@ window.onload = () => {
     
     function initAllValueDisplays(){
         const controls = [
-            ['masterVolume', true, 2], ['keysVolume', true, 2], ['pitchBendRange', false], ['uiZoom', true, 2],
-            ['kickVolume', true, 2], ['snareVolume', true, 2], ['hatVolume', true, 2],
-            ['sequencerVolume', true, 2], ['bpmSlider', false],
+            ['masterVolume', true, 2], ['keysVolume', true, 2], ['pitchBendRange', false], ['maxPolyphony', false], ['glideTime', true, 3], ['uiZoom', true, 2],
+            ['unisonVoices', false], ['unisonDetune', false], ['unisonSpread', true, 2],
+            ['timbreMorph', true, 2], ['genPulseWidth', true, 2], ['genStretch', true, 4], ['genOddEven', true, 2], ['genTilt', true, 1],
+            ['sequencerVolume', true, 2], ['bpmSlider', false], ['seqSwing', true, 2], ['seqHumanizeTime', false], ['seqHumanizeVelocity', false],
+            ['seqGenHits', false], ['seqGenSteps', false], ['seqGenRotation', false], ['seqGenDensity', true, 2],
             ['delay1Time', true, 2], ['delay1Feedback', true, 2], ['delay1Mix', true, 2], ['delay1Pan', true, 2], ['delay1LpfCutoff', false], ['delay1HpfCutoff', false],
             ['delay2Time', true, 2], ['delay2Feedback', true, 2], ['delay2Mix', true, 2], ['delay2Pan', true, 2], ['delay2LpfCutoff', false], ['delay2HpfCutoff', false],
             ['chorusRate', true, 1], ['chorusDepth', true, 1], ['chorusDelay', false], ['chorusMix', true, 2],
@@ -188,7 +214,8 @@ window.onload = () => {
             ['fxGateDepth', true, 2],
             ['lfo1Rate', true, 2], ['lfo1Depth', true, 2],
             ['lfo2Rate', true, 2], ['lfo2Depth', true, 2],
-            ['adsrAttack', true, 3], ['adsrDecay', true, 3], ['adsrSustain', true, 2], ['adsrRelease', true, 3], ['adsrVelocitySens', true, 2]
+            ['adsrAttack', true, 3], ['adsrHold', true, 3], ['adsrDecay', true, 3], ['adsrSustain', true, 2], ['adsrRelease', true, 3], ['adsrVelocitySens', true, 2], ['adsrVelocityTilt', true, 1], ['adsrKeyTilt', true, 1],
+            ['filterCutoff', false], ['filterResonance', true, 1], ['filterEnvAmount', true, 1], ['filterAttack', true, 3], ['filterDecay', true, 3], ['filterSustain', true, 2], ['filterRelease', true, 3], ['filterVelocity', true, 2], ['filterKeytrack', true, 2]
         ];
         controls.forEach(([id, isFloat, decimals]) => {
             const displayId = id.endsWith('Slider') ? id.replace('Slider', 'Val') : id + 'Val';
@@ -200,7 +227,25 @@ window.onload = () => {
 
     // --- SYNTH CORE & TIMBRE ---
     let freqMultipliers = []; let amplitudes = []; let phasesRad = [];
-    function updateAdditiveParams() { freqMultipliers = ui.freqMultInputs.map(input => parseFloat(input.value)); amplitudes = ui.ampInputs.map(input => parseFloat(input.value)); phasesRad = ui.phaseInputs.map(input => parseFloat(input.value) * Math.PI / 180); drawSummedWave(); }
+    let harmonicEnvelopes = []; // Kerroskohtaiset verhokäyräkertoimet { attack, decay, sustain } suhteessa globaaliin ADSR:ään
+    function updateAdditiveParams() { 
+        freqMultipliers = ui.freqMultInputs.map(input => parseFloat(input.value)); amplitudes = ui.ampInputs.map(input => parseFloat(input.value)); phasesRad = ui.phaseInputs.map(input => parseFloat(input.value) * Math.PI / 180); 
+        applyEngineTimbre();
+    }
+    // Moottorin soittama sointi: editorin arvot tai A/B-morfauksen tulos
+    function getEngineTimbre() {
+        if (TimbreMorph.isActive()) return TimbreMorph.getTimbre(getMorphPosition(), harmonicEnvelopes);
+        return { numHarmonics: NUM_HARMONICS, freqMultipliers, amplitudes, phasesRad, envelopes: harmonicEnvelopes };
+    }
+    function applyEngineTimbre() {
+        const timbre = getEngineTimbre();
+        // PeriodicWave rakennetaan uudelleen, jos kaikki kertoimet ovat kokonaislukuja
+        const renderMode = SineEngine.updateTimbre(audioContext, timbre);
+        if (ui.timbreRenderMode) ui.timbreRenderMode.textContent = renderMode === 'periodic' ? 'Render: PeriodicWave (1 osc/voice)' : `Render: Per-partial (${timbre.numHarmonics} osc/voice)`;
+        // Soivat äänet seuraavat muokkauksia (harmoniset liukusäätimet, mod wheel, morph)
+        if (voiceManager) voiceManager.setTimbre(timbre);
+        drawSummedWave(); 
+    }
     
     function drawHarmonicWave(canvas, amplitude, phaseRad) {
         if (!canvas) return;
@@ -233,12 +278,13 @@ window.onload = () => {
         ctx.lineWidth = 2;
         ctx.beginPath();
         
+        const { numHarmonics, freqMultipliers, amplitudes, phasesRad } = getEngineTimbre();
         let maxAmp = 0;
 
         for (let x = 0; x <= width; x++) {
             const angleX = (x / width) * 2 * Math.PI;
             let ySum = 0;
-            for (let i = 0; i < NUM_HARMONICS; i++) {
+            for (let i = 0; i < numHarmonics; i++) {
                 ySum += Math.sin(angleX * (freqMultipliers[i] || 0) + (phasesRad[i] || 0)) * (amplitudes[i] || 0);
             }
             maxAmp = Math.max(maxAmp, Math.abs(ySum));
@@ -249,7 +295,7 @@ window.onload = () => {
         for (let x = 0; x <= width; x++) {
             const angleX = (x / width) * 2 * Math.PI;
             let ySum = 0;
-            for (let i = 0; i < NUM_HARMONICS; i++) {
+            for (let i = 0; i < numHarmonics; i++) {
                 ySum += Math.sin(angleX * (freqMultipliers[i] || 0) + (phasesRad[i] || 0)) * (amplitudes[i] || 0);
             }
             const y = (height / 2) - (ySum * normFactor);
@@ -261,14 +307,17 @@ window.onload = () => {
 
     function rebuildHarmonicControls(numWaves) {
         NUM_HARMONICS = parseInt(numWaves);
-        if (isNaN(NUM_HARMONICS) || NUM_HARMONICS < 1 || NUM_HARMONICS > 16) { NUM_HARMONICS = 6; ui.numHarmonics.value = 6; }
+        if (isNaN(NUM_HARMONICS) || NUM_HARMONICS < 1 || NUM_HARMONICS > MAX_HARMONICS) { NUM_HARMONICS = 6; ui.numHarmonics.value = 6; }
+        ui.ampInputs.forEach((_, i) => { delete ui[`amp${i + 1}`]; });
         ui.additiveControlsContainer.innerHTML = ''; 
-        ui.freqMultInputs = []; ui.ampInputs = []; ui.ampValDisplays = []; ui.phaseInputs = []; ui.phaseValDisplays = []; ui.harmonicCanvases = [];
+        ui.freqMultInputs = []; ui.ampInputs = []; ui.ampValDisplays = []; ui.phaseInputs = []; ui.phaseValDisplays = []; ui.harmonicCanvases = []; ui.harmonicEnvCanvases = [];
+        // Säilytetään olemassa olevat verhokäyrät, uusille kerroksille oletukset
+        harmonicEnvelopes = Array.from({ length: NUM_HARMONICS }, (_, i) => harmonicEnvelopes[i] || { attack: 1, decay: 1, sustain: 1 });
         
         for (let i = 1; i <= NUM_HARMONICS; i++) {
             const row = document.createElement('div'); row.className = 'harmonic-control-row';
             const defaultAmp = (i === 1 ? 0.7 : 1 / (i * 2.5)).toFixed(2);
-            row.innerHTML = `<span class="harmonic-label">H${i}</span><label for="freqMult${i}">FreqMul:</label><input type="number" id="freqMult${i}" min="0.1" max="16" step="0.1" value="${i}"><label for="amp${i}">Amp:</label><input type="range" id="amp${i}" min="0" max="1" step="0.01" value="${defaultAmp}"><span id="amp${i}Val" class="value-display">${defaultAmp}</span><label for="phase${i}">Phase(&deg;):</label><input type="range" id="phase${i}" min="0" max="360" step="1" value="0"><span id="phase${i}Val" class="value-display">0</span><canvas id="harmonicCanvas${i}"></canvas>`;
+            row.innerHTML = `<span class="harmonic-label">H${i}</span><label for="freqMult${i}">FreqMul:</label><input type="number" id="freqMult${i}" min="0.1" max="${MAX_HARMONICS}" step="0.1" value="${i}"><label for="amp${i}">Amp:</label><input type="range" id="amp${i}" min="0" max="1" step="0.01" value="${defaultAmp}"><span id="amp${i}Val" class="value-display">${defaultAmp}</span><label for="phase${i}">Phase(&deg;):</label><input type="range" id="phase${i}" min="0" max="360" step="1" value="0"><span id="phase${i}Val" class="value-display">0</span><canvas id="harmonicCanvas${i}"></canvas><canvas id="harmonicEnvCanvas${i}" class="harmonic-env-canvas" width="120" height="60"></canvas>`;
             ui.additiveControlsContainer.appendChild(row);
             
             const freqInput = document.getElementById(`freqMult${i}`); 
@@ -277,9 +326,12 @@ window.onload = () => {
             const phaseInput = document.getElementById(`phase${i}`); 
             const phaseVal = document.getElementById(`phase${i}Val`);
             const hCanvas = document.getElementById(`harmonicCanvas${i}`);
+            const envCanvas = document.getElementById(`harmonicEnvCanvas${i}`);
 
             ui.freqMultInputs.push(freqInput); ui.ampInputs.push(ampInput); ui.ampValDisplays.push(ampVal); 
             ui.phaseInputs.push(phaseInput); ui.phaseValDisplays.push(phaseVal); ui.harmonicCanvases.push(hCanvas);
+            ui[`amp${i}`] = ampInput; // Mod wheel -kohteeksi (modWheelDestination)
+            ui.harmonicEnvCanvases.push(adsrModule.createPartialEnvelopeEditor(envCanvas, harmonicEnvelopes[i - 1], updateAdditiveParams));
 
             freqInput.addEventListener('change', updateAdditiveParams);
             updateSliderValueDisplay(ampInput, ampVal, true); 
@@ -296,19 +348,153 @@ window.onload = () => {
     }
     ui.applyHarmonicsBtn.addEventListener('click', () => rebuildHarmonicControls(ui.numHarmonics.value));
 
+    // Päivittää arvonäytöt ja kuvaajat, kun kerrosten arvot asetetaan koodista
+    function refreshHarmonicDisplays() {
+        ui.ampInputs.forEach((el, i) => { ui.ampValDisplays[i].textContent = parseFloat(el.value).toFixed(2); ui.phaseValDisplays[i].textContent = ui.phaseInputs[i].value; drawHarmonicWave(ui.harmonicCanvases[i], parseFloat(el.value), parseFloat(ui.phaseInputs[i].value) * Math.PI / 180); });
+        ui.harmonicEnvCanvases.forEach(editor => editor.draw());
+    }
+    // Kirjoittaa { multiplier, amplitude, phaseDeg } -listan kenttiin, rakentaa rivit uudelleen vain jos määrä muuttuu
+    function applyHarmonicPartials(partials) {
+        if (partials.length !== NUM_HARMONICS) { rebuildHarmonicControls(partials.length); ui.numHarmonics.value = NUM_HARMONICS; }
+        partials.forEach((partial, i) => { ui.freqMultInputs[i].value = partial.multiplier; ui.ampInputs[i].value = partial.amplitude; ui.phaseInputs[i].value = partial.phaseDeg; });
+        updateAdditiveParams(); refreshHarmonicDisplays();
+    }
+    function getHarmonicPartials() {
+        return ui.freqMultInputs.map((el, i) => ({ multiplier: parseFloat(el.value), amplitude: parseFloat(ui.ampInputs[i].value), phaseDeg: parseFloat(ui.phaseInputs[i].value) }));
+    }
+
+    // --- ENGINE & WAVEFORM ---
+    let customWaveform = null; // { name, data (data URL) } tallennetaan patchin mukana
+    function refreshEngineStatus() {
+        const status = SineEngine.getStatus();
+        ui.engineMode.value = status.engine;
+        const source = status.waveformName ? `${status.waveformName} (${status.builtIn ? 'built-in' : `${status.baseFreq.toFixed(1)} Hz`})` : 'no waveform';
+        ui.engineStatus.textContent = status.message || source;
+        ui.engineStatus.style.color = status.message ? 'var(--color-neon-pink)' : 'var(--color-text-secondary)';
+        applyEngineTimbre(); // Renderöintitila voi vaihtua
+    }
+    SineEngine.onChange(refreshEngineStatus);
+    function loadWaveform(dataUrl, name) {
+        return fetch(dataUrl).then(res => res.arrayBuffer()).then(data => {
+            const fileData = data.slice(0); // decodeAudioData irrottaa alkuperäisen puskurin, smpl-lohko luetaan kopiosta
+            return audioContext.decodeAudioData(data).then(buffer => {
+                SineEngine.setWaveform({ ...SampleAnalysis.analyzeWaveform(buffer, fileData), name, buffer });
+                customWaveform = { name, data: dataUrl };
+            });
+        });
+    }
+    ui.engineMode.addEventListener('change', () => {
+        SineEngine.setEngine(ui.engineMode.value);
+        const status = SineEngine.getStatus();
+        if (status.message) alert(status.message);
+    });
+    ui.loadWaveformBtn.addEventListener('click', () => ui.loadWaveformFile.click());
+    ui.loadWaveformFile.addEventListener('change', (e) => {
+        const file = e.target.files[0]; e.target.value = null; if (!file) return;
+        const reader = new FileReader(); reader.onload = (re) => { loadWaveform(re.target.result, file.name).catch(err => alert(`Could not load waveform: ${err.message}`)); }; reader.readAsDataURL(file);
+    });
+    ui.resetWaveformBtn.addEventListener('click', () => { customWaveform = null; SineEngine.resetWaveform(); });
+
+    // --- HARMONIC GENERATOR ---
+    function generateHarmonics() {
+        const options = { count: ui.genCount.value, pulseWidth: parseFloat(ui.genPulseWidth.value), vowel: ui.genVowel.value, stretch: parseFloat(ui.genStretch.value), oddEven: parseFloat(ui.genOddEven.value), tilt: parseFloat(ui.genTilt.value) };
+        applyHarmonicPartials(HarmonicGenerator.generate(ui.genShape.value, options));
+    }
+    ui.genApplyBtn.addEventListener('click', generateHarmonics);
+    [ui.genPulseWidth, ui.genStretch, ui.genOddEven, ui.genTilt].forEach(el => el.addEventListener('input', generateHarmonics));
+    [ui.genShape, ui.genCount, ui.genVowel].forEach(el => el.addEventListener('change', generateHarmonics));
+    ui.genNormalizeBtn.addEventListener('click', () => applyHarmonicPartials(HarmonicGenerator.normalize(getHarmonicPartials(), 1)));
+    ui.genInvertBtn.addEventListener('click', () => applyHarmonicPartials(HarmonicGenerator.invertPhases(getHarmonicPartials())));
+    ui.genRandomizeBtn.addEventListener('click', () => applyHarmonicPartials(HarmonicGenerator.randomize(getHarmonicPartials(), 0.3)));
+
+    // --- TIMBRE MORPH ---
+    let sequencerMorph = null; // Soivan sekvensseriaskeleen morph-arvo, null = liukusäädin
+    let lfoMorphOffset = 0;    // LFO 1/2:n yhteenlaskettu poikkeama
+    let appliedMorphPosition = null;
+    function getMorphPosition() {
+        const base = sequencerMorph !== null ? sequencerMorph : parseFloat(ui.timbreMorph.value);
+        // Pyöristetään sadasosiin, jolloin PeriodicWave-välimuisti kattaa koko liu'un
+        return Math.round(Math.min(1, Math.max(0, base + lfoMorphOffset)) * 100) / 100;
+    }
+    function updateMorph() {
+        if (!TimbreMorph.isActive()) return;
+        const position = getMorphPosition();
+        if (position === appliedMorphPosition) return;
+        appliedMorphPosition = position; applyEngineTimbre();
+    }
+    function setSequencerMorph(value) { sequencerMorph = value != null ? value : null; updateMorph(); }
+    function getEditorSnapshot() { return { freqMultipliers: ui.freqMultInputs.map(el => el.value), amplitudes: ui.ampInputs.map(el => el.value), phases: ui.phaseInputs.map(el => el.value) }; }
+    function recallMorphSlot(name) {
+        const slot = TimbreMorph.getSlot(name); if (!slot) return;
+        applyHarmonicPartials(slot.amplitudes.map((amp, i) => ({ multiplier: slot.freqMultipliers[i], amplitude: amp, phaseDeg: slot.phases[i] })));
+    }
+    function refreshMorphUI() {
+        const enabled = TimbreMorph.isEnabled();
+        ui.toggleTimbreMorph.classList.toggle('active', enabled); ui.toggleTimbreMorph.textContent = `Morph (${enabled ? 'ON' : 'OFF'})`;
+        const describe = (name) => { const slot = TimbreMorph.getSlot(name); return slot ? `${slot.amplitudes.length} waves` : 'empty'; };
+        ui.morphStatus.textContent = `A: ${describe('a')} | B: ${describe('b')}`;
+    }
+    TimbreMorph.onChange(() => { appliedMorphPosition = null; refreshMorphUI(); applyEngineTimbre(); });
+    ui.toggleTimbreMorph.addEventListener('click', () => {
+        if (!TimbreMorph.isEnabled() && !(TimbreMorph.hasSlot('a') && TimbreMorph.hasSlot('b'))) { alert("Store both A and B before enabling the morph."); return; }
+        TimbreMorph.setEnabled(!TimbreMorph.isEnabled());
+    });
+    ui.storeMorphA.addEventListener('click', () => TimbreMorph.setSlot('a', getEditorSnapshot()));
+    ui.storeMorphB.addEventListener('click', () => TimbreMorph.setSlot('b', getEditorSnapshot()));
+    ui.recallMorphA.addEventListener('click', () => recallMorphSlot('a'));
+    ui.recallMorphB.addEventListener('click', () => recallMorphSlot('b'));
+    ui.timbreMorph.addEventListener('input', updateMorph);
+
+    // --- SAMPLE ANALYSIS ---
+    function applySampleAnalysis(result) {
+        // Ilman verhokäyriä kerrokset palautetaan globaaliin ADSR:ään
+        harmonicEnvelopes = result.envelopes ? result.envelopes.map(env => ({ ...env })) : [];
+        rebuildHarmonicControls(result.partials.length); ui.numHarmonics.value = NUM_HARMONICS;
+        applyHarmonicPartials(result.partials);
+    }
+    ui.analyzeSampleBtn.addEventListener('click', () => ui.analyzeSampleFile.click());
+    ui.analyzeSampleFile.addEventListener('change', (e) => {
+        const file = e.target.files[0]; e.target.value = null; if (!file) return;
+        ui.analyzeStatus.textContent = `Analyzing ${file.name}...`;
+        const reader = new FileReader(); reader.onload = (re) => {
+            audioContext.decodeAudioData(re.target.result, buffer => {
+                try {
+                    const options = { maxPartials: parseInt(ui.analyzePartials.value) || 8, envelopes: ui.analyzeEnvelopes.value === 'on', adsr: { attack: parseFloat(ui.adsrAttack.value), decay: parseFloat(ui.adsrDecay.value), sustain: parseFloat(ui.adsrSustain.value) } };
+                    const result = SampleAnalysis.analyze(buffer, options);
+                    applySampleAnalysis(result);
+                    ui.analyzeStatus.textContent = `${file.name}: ${result.fundamental.toFixed(1)} Hz, ${result.partials.length} waves`;
+                } catch (err) { ui.analyzeStatus.textContent = ''; alert(`Could not analyze sample: ${err.message}`); }
+            }, () => { ui.analyzeStatus.textContent = ''; alert("Decode error."); });
+        }; reader.readAsArrayBuffer(file);
+    });
+
+    // --- UNISON ---
+    function getUnisonSettings(locks = {}) {
+        return { voices: parseInt(getNoteControlValue('unisonVoices', locks)), detune: parseFloat(getNoteControlValue('unisonDetune', locks)), spread: parseFloat(getNoteControlValue('unisonSpread', locks)) };
+    }
+    // Kopioiden määrä koskee vain uusia ääniä, viritys ja levitys päivittyvät myös soiviin
+    ui.unisonDetune.addEventListener('input', () => voiceManager.setUnison(getUnisonSettings()));
+    ui.unisonSpread.addEventListener('input', () => voiceManager.setUnison(getUnisonSettings()));
+
+    // --- VOICE FILTER ---
+    [ui.filterType, ui.filterCutoff, ui.filterResonance, ui.filterVelocity, ui.filterKeytrack, ui.filterRelease].forEach(el => el.addEventListener('input', () => voiceManager.setFilter(voiceFilterModule.getSettings())));
+
     // --- NOTE PLAYBACK & PIANO CONTROLS ---
-    function playNote(noteId, fundamentalFreq, velocity = 127, keyElement = null, isSequencerTriggered = false, stepVolume = 1.0, octaveOverride = null) { 
-        if (!audioContextResumedByInteraction && audioContext.state === 'suspended') { audioContext.resume().then(() => { audioContextResumedByInteraction = true; actuallyPlayNote(noteId, fundamentalFreq, velocity, keyElement, isSequencerTriggered, stepVolume, octaveOverride); }); return; } 
-        actuallyPlayNote(noteId, fundamentalFreq, velocity, keyElement, isSequencerTriggered, stepVolume, octaveOverride); 
+    // noteOptions: { slide, slideFrom, time, locks } sekvensserin liukumille, ajastukselle ja askeleen lukoille
+    function playNote(noteId, fundamentalFreq, velocity = 127, keyElement = null, isSequencerTriggered = false, stepVolume = 1.0, octaveOverride = null, noteOptions = null) { 
+        if (!audioContextResumedByInteraction && audioContext.state === 'suspended') { audioContext.resume().then(() => { audioContextResumedByInteraction = true; actuallyPlayNote(noteId, fundamentalFreq, velocity, keyElement, isSequencerTriggered, stepVolume, octaveOverride, noteOptions); }); return; } 
+        actuallyPlayNote(noteId, fundamentalFreq, velocity, keyElement, isSequencerTriggered, stepVolume, octaveOverride, noteOptions); 
     }
 
-    function actuallyPlayNote(noteId, fundamentalFreq, velocity, keyElement, isSequencerTriggered, stepVolume, octaveOverride = null) { 
+    function actuallyPlayNote(noteId, fundamentalFreq, velocity, keyElement, isSequencerTriggered, stepVolume, octaveOverride = null, noteOptions = null) { 
         let baseMidiNote;
         if (typeof noteId === 'number') { baseMidiNote = noteId; } else if (typeof noteId === 'string') { baseMidiNote = noteNameToMidiNumberMap.get(noteId.slice(0,-1));  if (baseMidiNote == null) baseMidiNote = noteNameToMidiNumberMap.get(noteId); }
         
         let noteOctaveShift = (octaveOverride !== null) ? octaveOverride : octaveShift;
         let finalMidiNote = baseMidiNote + (noteOctaveShift * 12);
         if (finalMidiNote < 0) finalMidiNote = 0; if (finalMidiNote > 127) finalMidiNote = 127;
+        // Taajuus lasketaan aina MIDI-nuotista nykyisellä virityksellä (tuning.js)
+        const tunedFreq = baseMidiNote != null ? Tuning.noteToFrequency(finalMidiNote) : fundamentalFreq * Math.pow(2, noteOctaveShift);
         
         // Sampler override check (Pads)
         if (assignedSamplerKeys.has(finalMidiNote)) {
@@ -321,7 +507,9 @@ window.onload = () => {
             }
         }
 
-        if (faderEffect.active && activeNotes.size === 0) {
+        if (tunedFreq === null) return; // Soimaton näppäin .kbm-kartassa
+
+        if (faderEffect.active && voiceManager.getHeldCount() === 0) {
             const time = audioContext.currentTime;
             const shape = ui.faderShape.value;
             const duration = parseFloat(ui.faderTime.value);
@@ -335,58 +523,107 @@ window.onload = () => {
             }
         }
 
-        if (midiModule) midiModule.sendMidiMessage([0x90, finalMidiNote, velocity]); 
-        const uniqueNoteId = isSequencerTriggered ? `${noteId}_seq` : `${noteId}_manual`; 
+        const startTime = noteOptions ? noteOptions.time : null; // Sekvensserin ennakkoajastama alkuhetki
+        if (midiModule) midiModule.sendMidiMessage([0x90, finalMidiNote, velocity], toMidiTimestamp(startTime)); 
+        // Sekvensserin id sisältää oktaavin, jotta sama sävel eri oktaaveissa saa oman äänensä
+        const uniqueNoteId = isSequencerTriggered ? `${noteId}_${noteOctaveShift || 0}_seq` : `${noteId}_manual`; 
 
-        if (drumSeq && drumSeq.currentEditStepIndex !== null && keyElement && !isSequencerTriggered) { 
-            const pianoKeyData = availablePianoNotes.find(n => n.baseNoteName === noteId); 
+        // Näppäimistöllä ja hiirellä ei ole velocityä (aina 127), joten tallennukseen välitetään vain MIDI:n velocity
+        const recordVelocity = keyElement ? null : velocity;
+        if (drumSeq && drumSeq.isRecording() && !isSequencerTriggered) {
+            // Live-tallennus: nuotti soi normaalisti ja kirjoitetaan lähimpään askeleeseen
+            const noteData = getSequencerNoteData(noteId);
+            if (noteData) drumSeq.recordNoteOn(String(noteId), noteData, recordVelocity);
+        } else if (drumSeq && drumSeq.currentEditStepIndex !== null && (keyElement || drumSeq.stepRecord) && !isSequencerTriggered) { 
+            const pianoKeyData = getSequencerNoteData(noteId); 
             if (pianoKeyData) { 
-                drumSeq.sequencerPattern[drumSeq.currentEditStepIndex].baseNoteName = pianoKeyData.baseNoteName; 
-                drumSeq.sequencerPattern[drumSeq.currentEditStepIndex].baseFreq = pianoKeyData.baseFreq; 
-                drumSeq.sequencerPattern[drumSeq.currentEditStepIndex].octaveShift = octaveShift; 
-                drumSeq.sequencerPattern[drumSeq.currentEditStepIndex].noteLabel = pianoKeyData.noteLabel; 
-                drumSeq.updateSequencerStepUI(drumSeq.currentEditStepIndex); 
+                // Ensimmäinen painettu näppäin korvaa askeleen nuotit, samaan aikaan pidetyt lisätään sointuun
+                drumSeq.enterStepNote(pianoKeyData, stepEntryKeys.size > 0, recordVelocity); 
+                stepEntryKeys.add(noteId); 
             } 
             return; 
         } 
 
-        if (activeNotes.has(uniqueNoteId)) return; 
+        // Sekvensserin edellinen sama nuotti on pidetty vapautushetkeensä asti; äänijakaja katkaisee sen uuden alkaessa
+        if (!isSequencerTriggered && voiceManager.has(uniqueNoteId)) return; 
         
-        const actualFundamentalFreq = fundamentalFreq * Math.pow(2, noteOctaveShift); 
+        const actualFundamentalFreq = tunedFreq; 
         const targetNode = isSequencerTriggered ? sequencerVolumeNode : keysVolumeNode;
 
         // Kutsutaan uutta SineEngine-moottoria
+        // Sekvensserin nuotilla askeleen lukot (noteOptions.locks) korvaavat säätimien arvot
+        const locks = (noteOptions && noteOptions.locks) || {};
         const adsrSettings = {
-            attack: parseFloat(ui.adsrAttack.value),
-            decay: parseFloat(ui.adsrDecay.value),
-            sustain: parseFloat(ui.adsrSustain.value),
-            velSens: parseFloat(ui.adsrVelocitySens.value)
+            attack: parseFloat(getNoteControlValue('adsrAttack', locks)),
+            decay: parseFloat(getNoteControlValue('adsrDecay', locks)),
+            sustain: parseFloat(getNoteControlValue('adsrSustain', locks)),
+            hold: parseFloat(getNoteControlValue('adsrHold', locks)),
+            attackCurve: ui.adsrAttackCurve.value,
+            decayCurve: ui.adsrDecayCurve.value,
+            releaseCurve: ui.adsrReleaseCurve.value,
+            loop: ui.adsrLoop.value === 'on', // Attack-hold-decay toistuu sustain-tasolta
+            trigger: ui.adsrTrigger.value,
+            velSens: parseFloat(getNoteControlValue('adsrVelocitySens', locks)),
+            velCurve: ui.adsrVelocityCurve.value,
+            velTilt: parseFloat(getNoteControlValue('adsrVelocityTilt', locks)),
+            keyTilt: parseFloat(getNoteControlValue('adsrKeyTilt', locks))
         };
 
         const globalSettings = {
-            numHarmonics: NUM_HARMONICS,
-            freqMultipliers: freqMultipliers,
-            amplitudes: amplitudes,
-            phasesRad: phasesRad,
+            ...getEngineTimbre(),
+            unison: getUnisonSettings(locks),
+            filter: voiceFilterModule.getSettings(locks),
             pitchBendCents: globalPitchBendCents
         };
 
-        const noteInstance = SineEngine.play(audioContext, actualFundamentalFreq, velocity, adsrSettings, globalSettings, targetNode);
-        
-        noteInstance.finalMidiNote = finalMidiNote;
-        noteInstance.isSampler = false; // "isSampler" tässä viittaa pädeihin
+        // Äänijakaja huolehtii polyfoniarajasta ja tarvittaessa varastaa vanhan äänen
+        voiceManager.start(uniqueNoteId, {
+            freq: actualFundamentalFreq,
+            velocity: velocity,
+            midiNote: finalMidiNote,
+            adsr: adsrSettings,
+            globals: globalSettings,
+            targetNode: targetNode,
+            channel: isSequencerTriggered ? 'seq' : 'manual',
+            slide: !!(noteOptions && noteOptions.slide),
+            slideFrom: noteOptions ? noteOptions.slideFrom : null,
+            time: startTime
+        });
         
-        activeNotes.set(uniqueNoteId, noteInstance); 
         if (keyElement) keyElement.classList.add('pressed'); 
     }
     
-    function stopNote(noteId, keyElement = null) {
+    // AudioContextin aika -> Web MIDI -aikaleima (performance.now); null = lähetä heti
+    function toMidiTimestamp(time) {
+        if (time == null) return undefined;
+        return performance.now() + Math.max(0, time - audioContext.currentTime) * 1000;
+    }
+
+    // Sekvensseriin kirjoitettava nuotti: pianon näppäin + oktaavisiirto. MIDI-nuotille (numero) haetaan saman
+    // sävelluokan lähin näppäin ja siirto, joka tuottaa soitetun korkeuden (MIDI:hin lisätään myös octaveShift)
+    function getSequencerNoteData(noteId) {
+        if (typeof noteId !== 'number') {
+            const key = availablePianoNotes.find(n => n.baseNoteName === noteId);
+            return key ? { ...key, octaveShift: octaveShift } : null;
+        }
+        const target = noteId + octaveShift * 12;
+        const candidates = availablePianoNotes.filter(n => (target - n.midiNote) % 12 === 0);
+        if (candidates.length === 0) return null;
+        const key = candidates.reduce((best, n) => Math.abs(target - n.midiNote) < Math.abs(target - best.midiNote) ? n : best);
+        return { ...key, octaveShift: (target - key.midiNote) / 12 };
+    }
+
+    // noteOptions: { locks } sekvensserin askeleen lukot, joista release luetaan
+    function stopNote(noteId, keyElement = null, time = null, noteOptions = null) {
+        // Step record siirtyy seuraavaan askeleeseen, kun soinnun viimeinenkin näppäin vapautetaan
+        if (stepEntryKeys.delete(noteId) && stepEntryKeys.size === 0 && drumSeq) drumSeq.completeStepEntry();
+        if (drumSeq) drumSeq.recordNoteOff(String(noteId));
         const idsToProcess = [];
     
         if (String(noteId).includes('_')) {
             idsToProcess.push(noteId);
         } else {
-            idsToProcess.push(`${noteId}_manual`, `${noteId}_seq`);
+            idsToProcess.push(`${noteId}_manual`, `${noteId}_${octaveShift}_seq`);
             let baseMidiNote;
             if (typeof noteId === 'number') { 
                 baseMidiNote = noteId;
@@ -402,27 +639,29 @@ window.onload = () => {
         }
         
         idsToProcess.forEach(idToStop => {
-            if (activeNotes.has(idToStop)) { 
-                const noteInstance = activeNotes.get(idToStop); 
-                if (noteInstance.isSampler) return;
+            if (voiceManager.has(idToStop)) { 
+                const voice = voiceManager.get(idToStop); 
                 
-                if (noteInstance.finalMidiNote != null && midiModule) { 
-                    midiModule.sendMidiMessage([0x80, noteInstance.finalMidiNote, 0]); 
+                if (voice.midiNote != null && midiModule) { 
+                    midiModule.sendMidiMessage([0x80, voice.midiNote, 0], toMidiTimestamp(time)); 
                 }
                 
-                const releaseTime = parseFloat(ui.adsrRelease.value);
-                SineEngine.stop(audioContext, noteInstance, releaseTime);
-                
-                activeNotes.delete(idToStop); 
+                const releaseTime = parseFloat(getNoteControlValue('adsrRelease', (noteOptions && noteOptions.locks) || {}));
+                voiceManager.release(idToStop, releaseTime, time);
             } 
         });
     
         if (keyElement) keyElement.classList.remove('pressed'); 
         
-        if (faderEffect.active && activeNotes.size === 0) {
-            faderEffect.nodes.faderGain.gain.cancelScheduledValues(audioContext.currentTime);
-            faderEffect.nodes.faderGain.gain.setTargetAtTime(1.0, audioContext.currentTime, 0.01);
-        }
+        // Faderin palautus vasta kun nuotti todella vapautuu (sekvensserin note-off ajastetaan etukäteen)
+        const resetFader = () => {
+            if (faderEffect.active && voiceManager.getHeldCount() === 0) {
+                faderEffect.nodes.faderGain.gain.cancelScheduledValues(audioContext.currentTime);
+                faderEffect.nodes.faderGain.gain.setTargetAtTime(1.0, audioContext.currentTime, 0.01);
+            }
+        };
+        if (time != null && time > audioContext.currentTime) setTimeout(resetFader, (time - audioContext.currentTime) * 1000);
+        else resetFader();
     }
 
     const availablePianoNotes = []; ui.pianoKeys.forEach(keyEl => { 
@@ -432,6 +671,22 @@ window.onload = () => {
         keyEl.addEventListener('mouseleave', (e) => { if (e.currentTarget.classList.contains('pressed')) stopNote(keyEl.dataset.note, e.currentTarget); }); 
     });
 
+    // --- TUNING (Scala .scl / .kbm) ---
+    // Päivitetään koskettimien, nuottilistan ja sekvensserin askelten taajuudet nykyiseen viritykseen
+    function refreshTuning() {
+        ui.pianoKeys.forEach(keyEl => { const freq = Tuning.noteToFrequency(parseInt(keyEl.dataset.midiNote)); keyEl.classList.toggle('unmapped', freq === null); if (freq !== null) keyEl.dataset.frequency = freq.toFixed(2); });
+        availablePianoNotes.forEach(note => { const freq = Tuning.noteToFrequency(note.midiNote); if (freq !== null) note.baseFreq = freq; });
+        if (drumSeq) drumSeq.sequencerPattern.forEach(step => step && step.notes.forEach(stepNote => { const note = availablePianoNotes.find(n => n.baseNoteName === stepNote.baseNoteName); if (note) stepNote.baseFreq = note.baseFreq; }));
+        ui.tuningStatus.textContent = Tuning.getDescription();
+    }
+    Tuning.onChange(refreshTuning);
+    function loadTuningFile(file, loader) { const reader = new FileReader(); reader.onload = (e) => { try { loader(e.target.result, file.name); } catch (err) { alert(`Could not load tuning file: ${err.message}`); } }; reader.readAsText(file); }
+    ui.loadSclBtn.addEventListener('click', () => ui.loadSclFile.click());
+    ui.loadKbmBtn.addEventListener('click', () => ui.loadKbmFile.click());
+    ui.loadSclFile.addEventListener('change', (e) => { const file = e.target.files[0]; if (file) loadTuningFile(file, Tuning.loadScale); e.target.value = null; });
+    ui.loadKbmFile.addEventListener('change', (e) => { const file = e.target.files[0]; if (file) loadTuningFile(file, Tuning.loadKeyboardMapping); e.target.value = null; });
+    ui.resetTuningBtn.addEventListener('click', () => Tuning.reset());
+
     // --- Touch Input for Piano ---
     const pianoEl = document.getElementById('piano');
     const activeTouchKeys = new Map();
@@ -503,8 +758,7 @@ window.onload = () => {
     midiModule = window.initSynthLabMIDI(audioContext, ui, {
         playNote: playNote,
         stopNote: stopNote,
-        getActiveNotes: () => activeNotes,
-        setGlobalPitchBend: (val) => { globalPitchBendCents = val; },
+        setGlobalPitchBend: (val) => { globalPitchBendCents = val; voiceManager.setDetune(val); },
         getPitchBendRange: () => parseFloat(ui.pitchBendRange.value)
     });
 
@@ -560,10 +814,21 @@ window.onload = () => {
         rebuildEffectConnections();
     }
     
-    let lfo1 = { active: false, node: null, depthGain: audioContext.createGain(), targetParam: null };
-    let lfo2 = { active: false, node: null, depthGain: audioContext.createGain(), targetParam: null };
+    let lfo1 = { active: false, node: null, depthGain: audioContext.createGain(), targetParam: null, morphReader: null };
+    let lfo2 = { active: false, node: null, depthGain: audioContext.createGain(), targetParam: null, morphReader: null };
+    // Timbre morph ei ole AudioParam: LFO:n arvo luetaan analysaattorista ruudunpäivityksen tahdissa
+    const lfoMorphBuffer = new Float32Array(32);
+    let lfoMorphLoopActive = false;
+    function readLfoMorph() {
+        const readers = [lfo1, lfo2].filter(lfo => lfo.morphReader);
+        lfoMorphOffset = readers.reduce((sum, lfo) => { lfo.morphReader.getFloatTimeDomainData(lfoMorphBuffer); return sum + lfoMorphBuffer[lfoMorphBuffer.length - 1]; }, 0);
+        updateMorph();
+        lfoMorphLoopActive = readers.length > 0;
+        if (lfoMorphLoopActive) requestAnimationFrame(readLfoMorph);
+    }
     function updateLfo(lfo, uiSet) {
         if (lfo.targetParam) { lfo.depthGain.disconnect(lfo.targetParam); lfo.targetParam = null; }
+        if (lfo.morphReader) { lfo.depthGain.disconnect(lfo.morphReader); lfo.morphReader = null; }
         if (lfo.node) { lfo.node.disconnect(); lfo.node.stop?.(); lfo.node = null; }
         if (!lfo.active) { drawSignalFlow(); return; }
         
@@ -586,6 +851,12 @@ window.onload = () => {
 
         const lfoTargetMap = { keysVolume: { param: keysVolumeNode.gain, scale: parseFloat(ui.keysVolume.value) }, eqLowGain: { param: eqEffect.nodes.lowShelf?.gain, scale: 24 }, eqMidGain: { param: eqEffect.nodes.peaking?.gain, scale: 24 }, eqHighGain: { param: eqEffect.nodes.highShelf?.gain, scale: 24 }, phaserRate: { param: phaserEffect.nodes.lfo?.frequency, scale: parseFloat(ui.phaserRate.max) * 0.5 }, flangerRate: { param: flangerEffect.nodes.lfo?.frequency, scale: parseFloat(ui.flangerRate.max) * 0.5 }, chorusDepth: { param: chorusEffect.nodes.lfoGain?.gain, scale: parseFloat(ui.chorusDepth.max) / 1000 * 0.5 }, delay1Mix: { param: delayEffect1.nodes.wetGain?.gain, scale: 1.0 }, delay2Mix: { param: delayEffect2.nodes.wetGain?.gain, scale: 1.0 }, distortionMix: { param: distortionEffect.nodes.wetGain?.gain, scale: 1.0 } };
         const dest = uiSet.destination.value;
+        if (dest === 'timbreMorph') {
+            lfo.morphReader = audioContext.createAnalyser(); lfo.morphReader.fftSize = lfoMorphBuffer.length;
+            lfo.depthGain.gain.setTargetAtTime(parseFloat(uiSet.depth.value), audioContext.currentTime, 0.01);
+            lfo.depthGain.connect(lfo.morphReader);
+            if (!lfoMorphLoopActive) { lfoMorphLoopActive = true; requestAnimationFrame(readLfoMorph); }
+        }
         const newTargetData = (dest !== 'none' && lfoTargetMap[dest]) ? lfoTargetMap[dest] : null;
         if (newTargetData && newTargetData.param) {
             lfo.targetParam = newTargetData.param;
@@ -627,11 +898,16 @@ window.onload = () => {
     
     function gatherAllSettings() {
         const seqData = drumSeq.getData();
-        const settings = { version: "19.0.0", masterVolume: ui.masterVolume.value, keysVolume: ui.keysVolume.value, pitchBendRange: ui.pitchBendRange.value, modWheelDestination: ui.modWheelDestination.value, kickVolume: ui.kickVolume.value, snareVolume: ui.snareVolume.value, hatVolume: ui.hatVolume.value, octaveShift: octaveShift, numHarmonics: NUM_HARMONICS, background: currentBgImageUrl };
-        settings.additive = { freqMultipliers: ui.freqMultInputs.map(el => el.value), amplitudes: ui.ampInputs.map(el => el.value), phases: ui.phaseInputs.map(el => el.value) };
-        settings.adsr = { attack: ui.adsrAttack.value, decay: ui.adsrDecay.value, sustain: ui.adsrSustain.value, release: ui.adsrRelease.value, velocitySens: ui.adsrVelocitySens.value };
-        settings.sequencer = { bpm: seqData.bpm, volume: seqData.volume, length: seqData.length, pattern: seqData.pattern };
-        settings.drums = { kickSample: seqData.kickSample, snareSample: seqData.snareSample, hatSample: seqData.hatSample };
+        const settings = { version: "19.0.0", masterVolume: ui.masterVolume.value, keysVolume: ui.keysVolume.value, pitchBendRange: ui.pitchBendRange.value, maxPolyphony: ui.maxPolyphony.value, voiceStealMode: ui.voiceStealMode.value, voiceMode: ui.voiceMode.value, notePriority: ui.notePriority.value, glideTime: ui.glideTime.value, modWheelDestination: ui.modWheelDestination.value,  octaveShift: octaveShift, numHarmonics: NUM_HARMONICS, background: currentBgImageUrl };
+        settings.additive = { freqMultipliers: ui.freqMultInputs.map(el => el.value), amplitudes: ui.ampInputs.map(el => el.value), phases: ui.phaseInputs.map(el => el.value), envelopes: harmonicEnvelopes.map(env => ({ ...env })) };
+        settings.tuning = Tuning.getData();
+        settings.engine = { mode: ui.engineMode.value, waveform: customWaveform };
+        settings.morph = { ...TimbreMorph.getData(), position: ui.timbreMorph.value };
+        settings.unison = { voices: ui.unisonVoices.value, detune: ui.unisonDetune.value, spread: ui.unisonSpread.value };
+        settings.filter = { type: ui.filterType.value, slope: ui.filterSlope.value, cutoff: ui.filterCutoff.value, resonance: ui.filterResonance.value, envAmount: ui.filterEnvAmount.value, attack: ui.filterAttack.value, decay: ui.filterDecay.value, sustain: ui.filterSustain.value, release: ui.filterRelease.value, velocity: ui.filterVelocity.value, keytrack: ui.filterKeytrack.value };
+        settings.adsr = { attack: ui.adsrAttack.value, decay: ui.adsrDecay.value, sustain: ui.adsrSustain.value, release: ui.adsrRelease.value, velocitySens: ui.adsrVelocitySens.value, velocityCurve: ui.adsrVelocityCurve.value, velocityTilt: ui.adsrVelocityTilt.value, keyTilt: ui.adsrKeyTilt.value, hold: ui.adsrHold.value, attackCurve: ui.adsrAttackCurve.value, decayCurve: ui.adsrDecayCurve.value, releaseCurve: ui.adsrReleaseCurve.value, loop: ui.adsrLoop.value, trigger: ui.adsrTrigger.value };
+        settings.sequencer = { bpm: seqData.bpm, volume: seqData.volume, length: seqData.length, pattern: seqData.pattern, patterns: seqData.patterns, currentPattern: seqData.currentPattern, song: seqData.song, swing: seqData.swing, humanize: seqData.humanize, mutes: seqData.mutes, solos: seqData.solos };
+        settings.drums = { tracks: seqData.drumTracks };
         settings.sampler = { numPads: samplerPads.length, pads: samplerPads.map(p => ({ volume: p.volume, assignedKey: p.assignedKey })) };
         settings.effects = {};
         const allEffects = {eq: eqEffect, distortion: distortionEffect, ringMod: ringModEffect, fader:faderEffect, tremolo: tremoloEffect, fxGate: fxGateEffect, delay1: delayEffect1, delay2: delayEffect2, chorus: chorusEffect, flanger: flangerEffect, phaser: phaserEffect};
@@ -669,15 +945,34 @@ window.onload = () => {
             ui.masterVolume.value = settings.masterVolume || 0.3; 
             ui.keysVolume.value = settings.keysVolume || 0.8; 
             ui.pitchBendRange.value = settings.pitchBendRange || 2;
+            ui.maxPolyphony.value = settings.maxPolyphony || 12;
+            ui.voiceStealMode.value = settings.voiceStealMode || 'oldest';
+            ui.voiceMode.value = settings.voiceMode || 'poly'; ui.notePriority.value = settings.notePriority || 'last';
+            ui.glideTime.value = settings.glideTime != null ? settings.glideTime : 0.05;
+            ui.voiceMode.dispatchEvent(new Event('change'));
             ui.modWheelDestination.value = settings.modWheelDestination || 'none';
-            ui.kickVolume.value = settings.kickVolume || 1.0; 
-            ui.snareVolume.value = settings.snareVolume || 1.0; 
-            ui.hatVolume.value = settings.hatVolume || 0.8; 
             octaveShift = settings.octaveShift || 0; 
+            Tuning.applyData(settings.tuning);
+            const engine = settings.engine || {};
+            SineEngine.setEngine(engine.mode || 'sample');
+            if (engine.waveform && engine.waveform.data) loadWaveform(engine.waveform.data, engine.waveform.name || 'waveform.wav').catch(err => alert(`Could not load the patch waveform: ${err.message}`));
+            else { customWaveform = null; SineEngine.resetWaveform(); }
+            const unison = settings.unison || {};
+            ui.unisonVoices.value = unison.voices || 1; ui.unisonDetune.value = unison.detune != null ? unison.detune : 15; ui.unisonSpread.value = unison.spread != null ? unison.spread : 0.5;
             const adsr = settings.adsr || {};
             ui.adsrAttack.value = adsr.attack || 0.01; ui.adsrDecay.value = adsr.decay || 0.1;
             ui.adsrSustain.value = adsr.sustain || 0.8; ui.adsrRelease.value = adsr.release || 0.2;
             ui.adsrVelocitySens.value = adsr.velocitySens || 0.5;
+            ui.adsrVelocityCurve.value = adsr.velocityCurve || 'linear'; ui.adsrVelocityTilt.value = adsr.velocityTilt || 0; ui.adsrKeyTilt.value = adsr.keyTilt || 0;
+            ui.adsrHold.value = adsr.hold || 0; ui.adsrAttackCurve.value = adsr.attackCurve || 'linear'; ui.adsrDecayCurve.value = adsr.decayCurve || 'linear'; ui.adsrReleaseCurve.value = adsr.releaseCurve || 'linear';
+            ui.adsrLoop.value = adsr.loop || 'off'; ui.adsrTrigger.value = adsr.trigger || 'legato';
+            const filter = settings.filter || {};
+            ui.filterType.value = filter.type || 'off'; ui.filterSlope.value = filter.slope || 12;
+            ui.filterCutoff.value = filter.cutoff || 2000; ui.filterResonance.value = filter.resonance || 1;
+            ui.filterEnvAmount.value = filter.envAmount != null ? filter.envAmount : 2;
+            ui.filterAttack.value = filter.attack || 0.01; ui.filterDecay.value = filter.decay || 0.3;
+            ui.filterSustain.value = filter.sustain != null ? filter.sustain : 0.3; ui.filterRelease.value = filter.release || 0.3;
+            ui.filterVelocity.value = filter.velocity || 0; ui.filterKeytrack.value = filter.keytrack != null ? filter.keytrack : 0.5;
             Object.values(allEffects).forEach(effect => {
                 const effectSettings = settings.effects?.[effect.id] || {};
                 Object.keys(effectSettings).forEach(paramKey => {
@@ -692,6 +987,8 @@ window.onload = () => {
             const lfo2Settings = settings.lfo2 || {};
             ui.lfo2Rate.value = lfo2Settings.rate || 0.5; ui.lfo2Depth.value = lfo2Settings.depth || 0.0;
             ui.lfo2Waveform.value = lfo2Settings.waveform || 'sine'; ui.lfo2Destination.value = lfo2Settings.destination || 'none';
+            const savedEnvelopes = settings.additive?.envelopes || [];
+            harmonicEnvelopes = savedEnvelopes.map(env => ({ attack: parseFloat(env.attack) || 1, decay: parseFloat(env.decay) || 1, sustain: env.sustain != null ? parseFloat(env.sustain) : 1 }));
             rebuildHarmonicControls(settings.numHarmonics || 6);
             ui.numHarmonics.value = settings.numHarmonics || 6;
             if (settings.additive) {
@@ -700,13 +997,18 @@ window.onload = () => {
                 ui.phaseInputs.forEach((el, i) => el.value = settings.additive.phases[i] || 0);
             }
             updateAdditiveParams();
+            const morph = settings.morph || {};
+            ui.timbreMorph.value = morph.position != null ? morph.position : 0;
+            TimbreMorph.applyData(morph);
             if (settings.sampler) {
                 ui.numSamplers.value = settings.sampler.numPads; createSamplerPads(settings.sampler.numPads);
                 samplerPads.forEach((pad, i) => { if(settings.sampler.pads[i]) { pad.volume = settings.sampler.pads[i].volume; pad.assignedKey = settings.sampler.pads[i].assignedKey; pad.ui.volumeSlider.value = pad.volume; pad.ui.keyAssign.value = pad.assignedKey || "none"; } });
                 updateSamplerKeyMap();
             }
             const seqData = {
-                bpm: settings.sequencer?.bpm, volume: settings.sequencer?.volume, length: settings.sequencer?.length, pattern: settings.sequencer?.pattern, kickSample: settings.drums?.kickSample, snareSample: settings.drums?.snareSample, hatSample: settings.drums?.hatSample, tremoloGate: settings.effects?.tremolo?.gatePattern, fxGate: settings.effects?.fxGate?.gatePattern
+                bpm: settings.sequencer?.bpm, volume: settings.sequencer?.volume, length: settings.sequencer?.length, pattern: settings.sequencer?.pattern, patterns: settings.sequencer?.patterns, currentPattern: settings.sequencer?.currentPattern, song: settings.sequencer?.song, swing: settings.sequencer?.swing, humanize: settings.sequencer?.humanize, mutes: settings.sequencer?.mutes, solos: settings.sequencer?.solos, drumTracks: settings.drums?.tracks,
+                // Vanhat tiedostot: kiinteät kick/snare/hat-samplet ja -voimakkuudet
+                kickSample: settings.drums?.kickSample, snareSample: settings.drums?.snareSample, hatSample: settings.drums?.hatSample, kickVolume: settings.kickVolume, snareVolume: settings.snareVolume, hatVolume: settings.hatVolume, tremoloGate: settings.effects?.tremolo?.gatePattern, fxGate: settings.effects?.fxGate?.gatePattern
             };
             drumSeq.applyData(seqData);
             Object.values(allEffects).forEach(effect => {
@@ -739,7 +1041,8 @@ window.onload = () => {
                 }
             }
             updateOctaveDisplay();
-            adsrModule.draw();
+            adsrModule.draw(); voiceFilterModule.draw();
+            voiceManager.enforceLimit();
             rebuildEffectConnections();
         } catch (e) { console.error("Error applying settings:", e); alert("Error loading settings file."); }
     }
@@ -756,6 +1059,32 @@ window.onload = () => {
         initAllValueDisplays();
     });
 
+    // --- SEQUENCER PARAMETER LOCKS ---
+    // Lukon avain: sisäänrakennetun säätimen ui-rekisterin nimi tai rumpuraidan säätimen id (drum-...),
+    // moduulin säätimellä muotoa moduleId:elementId (moduulien elementti-id:t voivat olla samoja kuin pääohjelman)
+    function getParamLockKey(element) {
+        if (!element.id || element.type !== 'range') return null;
+        if (ui[element.id] === element || ui.drumTrackList.contains(element)) return element.id;
+        const group = element.closest('.control-group');
+        const moduleId = group ? group.id.replace('group-', '') : null;
+        return loadedCustomModules.has(moduleId) ? `${moduleId}:${element.id}` : null;
+    }
+    // Nuotin alkaessa luettavat säätimet: sekvensseri ratkaisee niiden lukot ajastushetkellä ja välittää ne
+    // nuotin mukana, koska nuotti luodaan ennen askeleen alkua. Muut lukot asetetaan säätimiin askeleen alussa
+    const NOTE_LOCK_CONTROLS = new Set([
+        'adsrAttack', 'adsrHold', 'adsrDecay', 'adsrSustain', 'adsrRelease', 'adsrVelocitySens', 'adsrVelocityTilt', 'adsrKeyTilt',
+        'filterCutoff', 'filterResonance', 'filterEnvAmount', 'filterAttack', 'filterDecay', 'filterSustain', 'filterRelease', 'filterVelocity', 'filterKeytrack',
+        'unisonVoices', 'unisonDetune', 'unisonSpread'
+    ]);
+    function isNoteParamLock(key) { return NOTE_LOCK_CONTROLS.has(key); }
+    function getNoteControlValue(name, locks) { return name in locks ? locks[name] : ui[name].value; }
+    function getParamLockControl(key) {
+        const separator = key.indexOf(':');
+        if (separator < 0) return ui[key] || document.getElementById(key);
+        const group = document.getElementById(`group-${key.slice(0, separator)}`);
+        return group ? group.querySelector(`#${CSS.escape(key.slice(separator + 1))}`) : null;
+    }
+
     // --- MODULE LOADER ---
     function processModuleCode(code, sourceName) {
         try {
@@ -866,7 +1195,7 @@ window.onload = () => {
         for (const [key, value] of Object.entries(selectedSkin.colors)) {
             document.documentElement.style.setProperty(key, value);
         }
-        adsrModule.draw(); drawSummedWave(); drawSignalFlow(); eqEffect.draw();
+        adsrModule.draw(); voiceFilterModule.draw(); drawSummedWave(); drawSignalFlow(); eqEffect.draw();
     }
     function populateSkinSelector() { ui.skinSelect.innerHTML = ''; skins.forEach(skin => { ui.skinSelect.appendChild(new Option(skin.name, skin.name)); }); }
     ui.skinSelect.addEventListener('change', (e) => applySkin(e.target.value));
@@ -966,14 +1295,10 @@ window.onload = () => {
         createSamplerPads(parseInt(ui.numSamplers.value));
         ui.pianoKeys.forEach(keyEl => { noteNameToMidiNumberMap.set(keyEl.dataset.note, parseInt(keyEl.dataset.midiNote)); });
         masterGain.gain.value = ui.masterVolume.value; keysVolumeNode.gain.value = ui.keysVolume.value;
-        sequencerVolumeNode.gain.value = ui.sequencerVolume.value; kickVolumeNode.gain.value = ui.kickVolume.value; 
-        snareVolumeNode.gain.value = ui.snareVolume.value; hatVolumeNode.gain.value = ui.hatVolume.value;
+        sequencerVolumeNode.gain.value = ui.sequencerVolume.value;
         ui.masterVolume.addEventListener('input', (e) => masterGain.gain.setTargetAtTime(parseFloat(e.target.value), audioContext.currentTime, 0.01));
         ui.keysVolume.addEventListener('input', (e) => keysVolumeNode.gain.setTargetAtTime(parseFloat(e.target.value), audioContext.currentTime, 0.01));
         ui.sequencerVolume.addEventListener('input', (e) => sequencerVolumeNode.gain.setTargetAtTime(parseFloat(e.target.value), audioContext.currentTime, 0.01));
-        ui.kickVolume.addEventListener('input', (e) => kickVolumeNode.gain.setTargetAtTime(parseFloat(e.target.value), audioContext.currentTime, 0.01));
-        ui.snareVolume.addEventListener('input', (e) => snareVolumeNode.gain.setTargetAtTime(parseFloat(e.target.value), audioContext.currentTime, 0.01));
-        ui.hatVolume.addEventListener('input', (e) => hatVolumeNode.gain.setTargetAtTime(parseFloat(e.target.value), audioContext.currentTime, 0.01));
         ui.moduleFile.addEventListener('change', handleModuleImportFromFile);
         ui.loadSelectedModuleBtn.addEventListener('click', handleKnownModuleLoad);
         ui.updateModuleLibraryBtn.addEventListener('click', populateModuleLibrary);
@@ -986,19 +1311,21 @@ window.onload = () => {
             if(button) button.addEventListener('click', () => updateEffectStateAndChain(effect, button));
             Object.keys(ui).filter(k => k.startsWith(effect.id)).forEach(k => { if(ui[k] && (ui[k].type==='range' || ui[k].tagName==='SELECT')) { ui[k].addEventListener('input', () => { effect.updateParams(); }); } });
         });
-        const modDests = { "None": "none", "Keys Volume": "keysVolume", "LFO 1 Rate": "lfo1Rate", "LFO 1 Depth": "lfo1Depth", "LFO 2 Rate": "lfo2Rate", "LFO 2 Depth": "lfo2Depth", "Distortion Mix": "distortionMix", "RingMod Freq": "ringModFreq", "RingMod Mix": "ringModMix", "Delay 1 Time": "delay1Time", "Delay 1 Mix": "delay1Mix", "Delay 2 Time": "delay2Time", "Delay 2 Mix": "delay2Mix", "Phaser Rate": "phaserRate", "Phaser Mix": "phaserMix", "Flanger Rate": "flangerRate", "Flanger Mix": "flangerMix", "Chorus Mix": "chorusMix", "ADSR Attack": "adsrAttack", "ADSR Release": "adsrRelease" };
+        const modDests = { "None": "none", "Keys Volume": "keysVolume", "LFO 1 Rate": "lfo1Rate", "LFO 1 Depth": "lfo1Depth", "LFO 2 Rate": "lfo2Rate", "LFO 2 Depth": "lfo2Depth", "Distortion Mix": "distortionMix", "RingMod Freq": "ringModFreq", "RingMod Mix": "ringModMix", "Delay 1 Time": "delay1Time", "Delay 1 Mix": "delay1Mix", "Delay 2 Time": "delay2Time", "Delay 2 Mix": "delay2Mix", "Phaser Rate": "phaserRate", "Phaser Mix": "phaserMix", "Flanger Rate": "flangerRate", "Flanger Mix": "flangerMix", "Chorus Mix": "chorusMix", "ADSR Attack": "adsrAttack", "ADSR Release": "adsrRelease", "Harmonic 1 Amp": "amp1", "Harmonic 2 Amp": "amp2", "Harmonic 3 Amp": "amp3", "Harmonic 4 Amp": "amp4", "Timbre Morph": "timbreMorph" };
         Object.entries(modDests).forEach(([label, id]) => { ui.modWheelDestination.appendChild(new Option(label, id)); });
         const bSize = audioContext.sampleRate * 2; whiteNoiseBuffer = audioContext.createBuffer(1, bSize, audioContext.sampleRate);
         const out = whiteNoiseBuffer.getChannelData(0); for (let i = 0; i < bSize; i++) { out[i] = Math.random() * 2 - 1; }
         rebuildEffectConnections();
         drumSeq = new DrumsAndSequencer(audioContext, ui, {
             playNote: playNote, stopNote: stopNote,
-            mixerNodes: { kick: kickVolumeNode, snare: snareVolumeNode, hat: hatVolumeNode, sequencer: sequencerVolumeNode },
+            mixerNodes: { drums: masterGain, sequencer: sequencerVolumeNode },
             effects: { tremolo: tremoloEffect, fxGate: fxGateEffect },
-            getAvailablePianoNotes: () => availablePianoNotes
+            getAvailablePianoNotes: () => availablePianoNotes,
+            setTimbreMorph: setSequencerMorph,
+            getParamLockKey: getParamLockKey, getParamLockControl: getParamLockControl, isNoteParamLock: isNoteParamLock
         });
         drumSeq.init();
-        drawWaveform(); adsrModule.draw(); eqEffect.draw(); initDragAndDrop();
+        drawWaveform(); adsrModule.draw(); voiceFilterModule.draw(); eqEffect.draw(); initDragAndDrop();
         Promise.all([
             fetch('presets.json').then(res => res.ok ? res.json() : []),
             fetch('skins.json').then(res => res.ok ? res.json() : [])
@@ -15,17 +15,19 @@ window.initSynthLabMIDI = (audioContext, ui, synthFunctions) => {
     let selectedMidiOutput = null;
 
     // Destrukturoidaan tarvittavat funktiot syntetisaattorin pääohjelmasta
-    const { playNote, stopNote, getActiveNotes, setGlobalPitchBend, getPitchBendRange } = synthFunctions;
+    const { playNote, stopNote, setGlobalPitchBend, getPitchBendRange } = synthFunctions;
 
     // --- APUFUNKTIOT ---
     
+    // Taajuus nykyisestä virityksestä (tuning.js); null = soimaton näppäin
     function midiNoteToFreq(note) {
-        return 440 * Math.pow(2, (note - 69) / 12);
+        return Tuning.noteToFrequency(note);
     }
 
-    function sendMidiMessage(messageArray) {
+    // timestamp (performance.now-aikaa) ajastaa viestin tulevaisuuteen, kuten sekvensserin nuotit
+    function sendMidiMessage(messageArray, timestamp) {
         if (midiOutEnabled && selectedMidiOutput) {
-            selectedMidiOutput.send(messageArray);
+            selectedMidiOutput.send(messageArray, timestamp);
         }
     }
 
@@ -52,16 +54,8 @@ window.initSynthLabMIDI = (audioContext, ui, synthFunctions) => {
                 const normalizedBend = (bendValue - 8192) / 8192;
                 const bendCents = normalizedBend * parseFloat(ui.pitchBendRange.value) * 100;
                 
-                // Päivitetään globaali vire
+                // Päivitetään globaali vire ja parhaillaan soivat äänet
                 setGlobalPitchBend(bendCents);
-                
-                // Päivitetään parhaillaan soivat äänet
-                getActiveNotes().forEach(noteData => {
-                    if (noteData.isSampler) return;
-                    noteData.components.forEach(cmp => {
-                        cmp.osc.detune.setTargetAtTime(bendCents, audioContext.currentTime, 0.01);
-                    });
-                });
                 break;
             case 0xB0: // Control Change (CC)
                 const ccNumber = note;
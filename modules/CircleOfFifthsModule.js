@@ -44,7 +44,8 @@ class CircleOfFifthsModule {
         
         intervals.forEach(interval => {
             const midiNote = rootMidi + interval;
-            const freq = 440 * Math.pow(2, (midiNote - 69) / 12);
+            const freq = window.Tuning ? window.Tuning.noteToFrequency(midiNote) : 440 * Math.pow(2, (midiNote - 69) / 12);
+            if (freq === null) return; // Unmapped key in the current tuning
             this._playVoice(midiNote, freq);
         });
     }
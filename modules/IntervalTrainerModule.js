@@ -33,8 +33,10 @@ class IntervalTrainerModule {
         };
     }
 
+    // Uses the app-wide tuning (Scala .scl/.kbm) when available; unmapped keys fall back to 12-TET
     _midiToFreq(midi) {
-        return 440 * Math.pow(2, (midi - 69) / 12);
+        const tuned = window.Tuning ? window.Tuning.noteToFrequency(midi) : null;
+        return tuned !== null ? tuned : 440 * Math.pow(2, (midi - 69) / 12);
     }
     
     /**
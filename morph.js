@@ -0,0 +1,120 @@
+/**
+ * morph.js - Synthwave Lab Timbre Morph Module
+ * Kaksi additiivista sointipaikkaa (A ja B) ja niiden välinen interpolointi.
+ * Saman taajuuskertoimen kerrokset liukuvat amplitudiltaan ja vaiheeltaan,
+ * eri kertoimilla olevat ristihäivytetään, jolloin harmoninen sointi pysyy
+ * harmonisena koko matkan (PeriodicWave-tila säilyy).
+ */
+
+const TimbreMorph = (() => {
+    const slots = { a: null, b: null }; // { freqMultipliers, amplitudes, phases (astetta) }
+    let enabled = false;
+    const listeners = [];
+
+    // --- APUFUNKTIOT ---
+
+    function toNumbers(values, fallback) {
+        return (values || []).map((v, i) => {
+            const n = parseFloat(v);
+            return isNaN(n) ? fallback(i) : n;
+        });
+    }
+
+    function cloneSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.amplitudes) || snapshot.amplitudes.length === 0) return null;
+        const count = snapshot.amplitudes.length;
+        return {
+            freqMultipliers: toNumbers(snapshot.freqMultipliers, i => i + 1).slice(0, count),
+            amplitudes: toNumbers(snapshot.amplitudes, () => 0),
+            phases: toNumbers(snapshot.phases, () => 0).slice(0, count)
+        };
+    }
+
+    // Vaihe-ero lyhintä reittiä (radiaaneina), jotta liu'ussa ei tehdä turhaa kierrosta
+    function lerpPhase(from, to, t) {
+        let diff = (to - from) % (2 * Math.PI);
+        if (diff > Math.PI) diff -= 2 * Math.PI;
+        if (diff < -Math.PI) diff += 2 * Math.PI;
+        return from + diff * t;
+    }
+
+    function notifyChange() {
+        listeners.forEach(fn => fn());
+    }
+
+    // --- JULKISET ---
+
+    function setSlot(name, snapshot) {
+        if (!(name in slots)) throw new Error(`Unknown morph slot: ${name}`);
+        slots[name] = cloneSnapshot(snapshot);
+        notifyChange();
+    }
+
+    function getSlot(name) {
+        return slots[name] ? cloneSnapshot(slots[name]) : null;
+    }
+
+    function setEnabled(value) {
+        enabled = !!value;
+        notifyChange();
+    }
+
+    // Morfaus on käytössä vain, kun se on kytketty päälle ja molemmat paikat on tallennettu
+    function isActive() {
+        return enabled && !!slots.a && !!slots.b;
+    }
+
+    /**
+     * Palauttaa SineEnginelle sopivan soinnin kohdassa position (0 = A, 1 = B).
+     * Kerrosten määrä riippuu vain paikoista, ei kohdasta, joten soivat äänet voivat seurata.
+     * envelopes: editorin kerroskohtaiset verhokäyrät, jaetaan indeksin mukaan molemmille puolille.
+     */
+    function getTimbre(position, envelopes) {
+        const t = Math.min(1, Math.max(0, position));
+        const a = slots.a, b = slots.b;
+        const count = Math.max(a.amplitudes.length, b.amplitudes.length);
+        const freqMultipliers = [], amplitudes = [], phasesRad = [], partialEnvelopes = [];
+        const defaultEnvelope = { attack: 1, decay: 1, sustain: 1 };
+        const push = (mult, amp, phase, i) => {
+            freqMultipliers.push(mult); amplitudes.push(amp); phasesRad.push(phase);
+            partialEnvelopes.push((envelopes && envelopes[i]) || defaultEnvelope);
+        };
+
+        const extras = []; // B:n kerrokset, joilla on eri kerroin kuin A:lla samassa indeksissä
+        for (let i = 0; i < count; i++) {
+            const hasA = i < a.amplitudes.length, hasB = i < b.amplitudes.length;
+            const phaseA = hasA ? a.phases[i] * Math.PI / 180 : 0;
+            const phaseB = hasB ? b.phases[i] * Math.PI / 180 : 0;
+            if (hasA && hasB && a.freqMultipliers[i] === b.freqMultipliers[i]) {
+                push(a.freqMultipliers[i], a.amplitudes[i] + (b.amplitudes[i] - a.amplitudes[i]) * t, lerpPhase(phaseA, phaseB, t), i);
+                continue;
+            }
+            if (hasA) push(a.freqMultipliers[i], a.amplitudes[i] * (1 - t), phaseA, i);
+            if (hasB) extras.push([b.freqMultipliers[i], b.amplitudes[i] * t, phaseB, i]);
+        }
+        extras.forEach(args => push(...args));
+
+        return { numHarmonics: freqMultipliers.length, freqMultipliers, amplitudes, phasesRad, envelopes: partialEnvelopes };
+    }
+
+    function getData() {
+        return { enabled: enabled, a: getSlot('a'), b: getSlot('b') };
+    }
+
+    function applyData(data) {
+        slots.a = cloneSnapshot(data && data.a);
+        slots.b = cloneSnapshot(data && data.b);
+        enabled = !!(data && data.enabled);
+        notifyChange();
+    }
+
+    return {
+        setSlot, getSlot, setEnabled, isActive, getTimbre, getData, applyData,
+        isEnabled: () => enabled,
+        hasSlot: (name) => !!slots[name],
+        onChange: (fn) => listeners.push(fn)
+    };
+})();
+
+// Eksportoidaan globaalisti käyttöön
+window.TimbreMorph = TimbreMorph;
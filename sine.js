@@ -1,148 +1,673 @@
 /**
  * sine.js - Synthwave Lab Audio Engine Module
- * Sisältää näytepohjaisen samplereosastot (ensijainen) ja 
- * additiivisen synteesin (varajärjestelmä).
+ * Additiivinen synteesi kolmella lähteellä: sample (sine.wav tai tuotu aaltomuoto
+ * jokaisen kerroksen lähteenä), oscillator (siniaallot) ja wavetable (tuodun
+ * aaltomuodon jaksosta rakennettu kaistarajattu PeriodicWave).
  */
 
 const SineEngine = (() => {
-    let audioBuffer = null;
-    let isSampleLoaded = false;
-    const BASE_FREQ = 261.63; // C4 taajuus, jolla sine.wav on tallennettu
+    const ENGINES = ['sample', 'oscillator', 'wavetable'];
+    const BUILTIN_BASE_FREQ = 261.63; // C4 taajuus, jolla sine.wav on tallennettu
+    const BUILTIN_LOOP = { start: 0.3, end: 0.93 }; // sine.wav:n optimoidut loop-pisteet
+    const SMOOTHING = 0.02;   // Soiviin ääniin tehtävien muutosten pehmennysaika (s)
+    const WAVE_CACHE_SIZE = 32;
+    const MAX_WAVE_COEFFICIENTS = 4096; // Wavetable-tilan yhdistetyn PeriodicWaven yläraja
+    const MAX_UNISON = 8;
+    const KEYTRACK_BASE_FREQ = 261.63; // C4: keytrack ei siirrä cutoffia tällä taajuudella
+    const VELOCITY_OCTAVES = 4;        // Täydellä velocity-määrällä hiljaisin isku sulkee suodinta 4 oktaavia
+    const TILT_STEP = 0.5;             // Äänikohtainen kallistus pyöristetään (dB/okt), jotta PeriodicWave-välimuisti riittää
+    const CURVE_STEPS = 12;            // Kaareva verhokäyräsegmentti piirretään näin monella lineaarisella palalla
+    const CURVE_STEEPNESS = 5;         // exp/log-segmenttien kaarevuus
+    const LOOP_HORIZON = 16;           // Decay/sustain-silmukka ajastetaan enintään näin pitkälle (s)
+    const MAX_LOOP_CYCLES = 64;
+    const MIN_LOOP_CYCLE = 0.01;       // Tätä lyhyempi kierros olisi jo audiotaajuista modulaatiota
+    const RETRIGGER_FADE = 0.005;      // Retrigger-tila painaa tason nollaan näin nopeasti ennen uutta attackia
+    const CONSTANT_ENVELOPE = { attack: 0, decay: 0, sustain: 1 }; // Pysyy huipputasolla (kerroskohtaiset verhokäyrät)
 
-    // Ladataan äänitiedosto heti kun moduuli ladataan
+    // PeriodicWave-välimuisti: sama äänenväri rakennetaan vain kerran
+    const waveCache = new Map();
+
+    // --- LÄHDE JA MOOTTORI ---
+    // waveform = { name, buffer, baseFreq, loopStart, loopEnd, real, imag, builtIn }
+    // real/imag = yhden jakson harmoniset (null = puhdas sini, kuten sine.wav)
+    let engineMode = 'sample';
+    let builtInWaveform = null;
+    let waveform = null;
+    let waveformId = 0;       // Välimuistin avain vaihtuu, kun aaltomuoto vaihtuu
+    let cycleWave = null;     // Aaltomuodon oma PeriodicWave kerroskohtaisille wavetable-oskillaattoreille
+    let initError = null;
+    const listeners = [];
+
+    function notifyChange() {
+        listeners.forEach(fn => fn());
+    }
+
+    // Ladataan sine.wav heti kun moduuli ladataan. Virheestä kerrotaan getStatus-tilassa.
     async function init(audioContext) {
         try {
             const response = await fetch('sine.wav');
             if (!response.ok) throw new Error('sine.wav ei löytynyt');
             const arrayBuffer = await response.arrayBuffer();
-            audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-            isSampleLoaded = true;
-            console.log("SineEngine: sine.wav ladattu. Käytetään sampleri-tilaa.");
+            const buffer = await audioContext.decodeAudioData(arrayBuffer);
+            builtInWaveform = { name: 'sine.wav', buffer, baseFreq: BUILTIN_BASE_FREQ, loopStart: BUILTIN_LOOP.start, loopEnd: BUILTIN_LOOP.end, real: null, imag: null, builtIn: true };
+            if (!waveform) waveform = builtInWaveform; // Ei korvata jo tuotua aaltomuotoa
+            initError = null;
+            console.log("SineEngine: sine.wav ladattu.");
         } catch (err) {
-            isSampleLoaded = false;
-            console.warn("SineEngine: sine.wav ei saatu ladattua. Käytetään syntetisaattori-tilaa.", err);
+            initError = err.message || String(err);
+            console.warn("SineEngine: sine.wav ei saatu ladattua, sample-moottori ei ole käytettävissä.", err);
+        }
+        notifyChange();
+    }
+
+    /**
+     * Asettaa kerrosten lähteen (katso SampleAnalysis.analyzeWaveform).
+     * waveform: { name, buffer, baseFreq, loopStart, loopEnd, real, imag }
+     */
+    function setWaveform(newWaveform) {
+        if (!newWaveform || !newWaveform.buffer || !(newWaveform.baseFreq > 0)) throw new Error('Invalid waveform');
+        waveform = { ...newWaveform, builtIn: false };
+        waveformId++;
+        cycleWave = null;
+        waveCache.clear();
+        notifyChange();
+    }
+
+    // Palauttaa sisäänrakennetun sine.wav:n (tai ei lähdettä, jos sitä ei saatu ladattua)
+    function resetWaveform() {
+        waveform = builtInWaveform;
+        waveformId++;
+        cycleWave = null;
+        waveCache.clear();
+        notifyChange();
+    }
+
+    function setEngine(mode) {
+        if (!ENGINES.includes(mode)) throw new Error(`Unknown engine: ${mode}`);
+        engineMode = mode;
+        waveCache.clear();
+        notifyChange();
+    }
+
+    // Sample-moottori tarvitsee puskurin; ilman sitä soitetaan oskillaattoreilla ja tila kertoo syyn
+    function getActiveEngine() {
+        if (engineMode === 'sample' && !(waveform && waveform.buffer)) return 'oscillator';
+        return engineMode;
+    }
+
+    // Käyttääkö nykyinen lähde muuta kuin puhdasta siniä
+    function hasCustomCycle() {
+        return !!(waveform && waveform.real && waveform.imag);
+    }
+
+    /**
+     * Tila käyttöliittymälle: { engine, activeEngine, waveformName, baseFreq, builtIn, message }.
+     * message kertoo, jos valittu moottori ei ole käytettävissä.
+     */
+    function getStatus() {
+        const activeEngine = getActiveEngine();
+        let message = '';
+        if (activeEngine !== engineMode) message = `Sample engine unavailable (${initError || 'no waveform loaded'}), playing oscillators`;
+        return { engine: engineMode, activeEngine, waveformName: waveform ? waveform.name : null, baseFreq: waveform ? waveform.baseFreq : null, builtIn: !!(waveform && waveform.builtIn), message };
+    }
+
+    function getCycleWave(audioContext) {
+        if (!cycleWave) cycleWave = audioContext.createPeriodicWave(waveform.real, waveform.imag, { disableNormalization: true });
+        return cycleWave;
+    }
+
+    /**
+     * Voiko koko äänen soittaa yhdellä PeriodicWavella: sini- ja wavetable-lähteillä aina,
+     * sample-lähteellä vain, kun se on puhdas sini (sine.wav).
+     */
+    function canUsePeriodic() {
+        const engine = getActiveEngine();
+        return engine !== 'sample' || !hasCustomCycle();
+    }
+
+    // --- PERIODICWAVE-TILA ---
+
+    /**
+     * Palauttaa true, jos kaikki taajuuskertoimet ovat kokonaislukuja,
+     * jolloin koko ääni voidaan soittaa yhdellä PeriodicWave-oskillaattorilla.
+     */
+    function isHarmonic(timbre) {
+        for (let i = 0; i < timbre.numHarmonics; i++) {
+            const m = timbre.freqMultipliers[i];
+            if (!Number.isInteger(m) || m < 1) return false;
+        }
+        return timbre.numHarmonics > 0;
+    }
+
+    /**
+     * Rakentaa (tai hakee välimuistista) PeriodicWaven amplitudeista ja vaiheista.
+     * Vaihe toteutetaan samoin kuin viivelinjalla kerroskohtaisessa tilassa,
+     * eli a * sin(kwt - phase), jotta molemmat tilat kuulostavat samalta.
+     */
+    function getPeriodicWave(audioContext, timbre) {
+        const n = timbre.numHarmonics;
+        const cycle = getActiveEngine() === 'wavetable' && hasCustomCycle() ? waveform : null;
+        const key = [
+            cycle ? waveformId : 0,
+            timbre.freqMultipliers.slice(0, n).join(','),
+            timbre.amplitudes.slice(0, n).join(','),
+            timbre.phasesRad.slice(0, n).join(',')
+        ].join('|');
+        if (waveCache.has(key)) return waveCache.get(key);
+
+        let maxMult = 1;
+        for (let i = 0; i < n; i++) maxMult = Math.max(maxMult, timbre.freqMultipliers[i]);
+        const cycleReal = cycle ? cycle.real : [0, 0];
+        const cycleImag = cycle ? cycle.imag : [0, 1]; // Puhdas sini: vain 1. harmoninen
+        const size = Math.min(MAX_WAVE_COEFFICIENTS, maxMult * (cycleReal.length - 1) + 1);
+        const real = new Float32Array(size);
+        const imag = new Float32Array(size);
+
+        // Kerros k soittaa jakson kertoimella m ja viiveellä: jakson harmoninen j osuu indeksiin j*m vaiheella j*phase
+        for (let i = 0; i < n; i++) {
+            const k = timbre.freqMultipliers[i];
+            const amp = timbre.amplitudes[i] || 0;
+            const phaseRad = timbre.phasesRad[i] || 0;
+            for (let j = 1; j < cycleReal.length && j * k < size; j++) {
+                const b = cycleReal[j], c = cycleImag[j];
+                if (b === 0 && c === 0) continue;
+                const sinP = Math.sin(j * phaseRad), cosP = Math.cos(j * phaseRad);
+                real[j * k] += amp * (b * cosP - c * sinP);
+                imag[j * k] += amp * (b * sinP + c * cosP);
+            }
+        }
+
+        // Normalisointi pois päältä, jotta voimakkuus vastaa kerrosten summaa
+        const wave = audioContext.createPeriodicWave(real, imag, { disableNormalization: true });
+        if (waveCache.size >= WAVE_CACHE_SIZE) waveCache.delete(waveCache.keys().next().value);
+        waveCache.set(key, wave);
+        return wave;
+    }
+
+    // --- VERHOKÄYRÄT ---
+
+    /**
+     * Palauttaa true, jos jollakin kerroksella on oma verhokäyrä (kertoimet poikkeavat 1x:stä).
+     */
+    function hasPartialEnvelopes(timbre) {
+        if (!timbre.envelopes) return false;
+        for (let i = 0; i < timbre.numHarmonics; i++) {
+            const env = timbre.envelopes[i];
+            if (env && (env.attack !== 1 || env.decay !== 1 || env.sustain !== 1)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Segmentin arvo kohdassa t (0..1). 'exp' kaartuu suoran alapuolelle (nousu alkaa hitaasti,
+     * lasku putoaa nopeasti ja jää hännäksi), 'log' suoran yläpuolelle.
+     */
+    function getCurveValue(from, to, t, curve) {
+        if (curve !== 'exp' && curve !== 'log') return from + (to - from) * t;
+        const convex = (x) => (Math.exp(CURVE_STEEPNESS * x) - 1) / (Math.exp(CURVE_STEEPNESS) - 1);
+        // Suoran alapuolella nousu on kupera ja lasku kovera, yläpuolella päinvastoin
+        const progress = (to >= from) === (curve === 'exp') ? convex(t) : 1 - convex(1 - t);
+        return from + (to - from) * progress;
+    }
+
+    // Ramppi from -> to; kaarevat muodot koostetaan lineaarisista paloista, jotta cancelScheduledValues toimii
+    function rampSegment(param, from, to, start, duration, curve) {
+        if (duration > 0 && (curve === 'exp' || curve === 'log')) {
+            for (let i = 1; i <= CURVE_STEPS; i++) {
+                param.linearRampToValueAtTime(getCurveValue(from, to, i / CURVE_STEPS, curve), start + duration * i / CURVE_STEPS);
+            }
+            return;
+        }
+        param.linearRampToValueAtTime(to, start + Math.max(0, duration));
+    }
+
+    // Attack -> Hold -> Decay yhdestä lähtötasosta; palauttaa decayn loppuhetken
+    function scheduleStages(param, start, from, peak, env) {
+        const hold = env.hold || 0;
+        rampSegment(param, from, peak, start, env.attack, env.attackCurve);
+        let t = start + env.attack;
+        if (hold > 0) {
+            t += hold;
+            param.setValueAtTime(peak, t);
+        }
+        rampSegment(param, peak, peak * env.sustain, t, env.decay, env.decayCurve);
+        return t + env.decay;
+    }
+
+    // Silmukan kierrosten määrä (0 = ei silmukkaa)
+    function getLoopCycles(env) {
+        const cycleLength = env.attack + (env.hold || 0) + env.decay;
+        if (!env.loop || cycleLength < MIN_LOOP_CYCLE) return 0;
+        return Math.min(MAX_LOOP_CYCLES, Math.ceil(LOOP_HORIZON / cycleLength));
+    }
+
+    /**
+     * Attack -> Hold -> Decay -> Sustain -ajastus annetulle parametrille (from = lähtötaso, oletuksena 0).
+     * env = { attack, hold, decay, sustain, attackCurve, decayCurve, loop }; puuttuvat kentät = lineaarinen ilman holdia.
+     * loop toistaa attack-hold-decay-kierrosta sustain-tasolta release-vaiheeseen asti (enintään LOOP_HORIZON).
+     * Palauttaa ajastuksen { time, from, peak, env }, josta getScheduledLevel laskee tason myöhemmin.
+     */
+    function scheduleAdsr(param, time, peak, env, from) {
+        const start = from || 0;
+        param.setValueAtTime(start, time);
+        let t = scheduleStages(param, time, start, peak, env);
+        const cycles = getLoopCycles(env);
+        for (let i = 0; i < cycles; i++) t = scheduleStages(param, t, peak * env.sustain, peak, env);
+        return { time, from: start, peak, env };
+    }
+
+    /**
+     * Verhokäyrän taso hetkellä time scheduleAdsr:n palauttaman ajastuksen perusteella.
+     * Tarvitaan, kun release tai uusi isku ajastetaan tulevaisuuteen, jolloin param.value ei vielä kerro tasoa.
+     */
+    function getScheduledLevel(schedule, time) {
+        const env = schedule.env;
+        const hold = env.hold || 0;
+        const sustainLevel = schedule.peak * env.sustain;
+        // Taso kierroksen sisällä (t = aika kierroksen alusta), null kun kierros on ohi
+        const stageLevel = (from, t) => {
+            if (t < env.attack) return getCurveValue(from, schedule.peak, t / env.attack, env.attackCurve);
+            if (t < env.attack + hold) return schedule.peak;
+            const d = t - env.attack - hold;
+            if (d < env.decay) return getCurveValue(schedule.peak, sustainLevel, d / env.decay, env.decayCurve);
+            return null;
+        };
+
+        let t = time - schedule.time;
+        if (t < 0) return schedule.from;
+        const first = stageLevel(schedule.from, t);
+        if (first !== null) return first;
+
+        const cycleLength = env.attack + hold + env.decay;
+        t -= cycleLength;
+        if (t >= cycleLength * getLoopCycles(env)) return sustainLevel;
+        const level = stageLevel(sustainLevel, t % cycleLength);
+        return level !== null ? level : sustainLevel;
+    }
+
+    // Katkaisee ajastukset hetkellä time niin, että parametri jää tasolle level ilman hyppyä
+    function holdAt(param, time, level) {
+        param.cancelScheduledValues(time);
+        param.linearRampToValueAtTime(level, time);
+    }
+
+    // Kerroksen verhokäyrä: ajat ja sustain-taso skaalataan globaalista ADSR:stä
+    function schedulePartialEnvelope(param, time, envelope, adsr, from) {
+        const env = {
+            ...adsr,
+            attack: adsr.attack * envelope.attack,
+            decay: adsr.decay * envelope.decay,
+            sustain: Math.min(1, adsr.sustain * envelope.sustain)
+        };
+        return scheduleAdsr(param, time, 1, env, from);
+    }
+
+    /**
+     * Peruu parametrin ajastukset uutta attackia varten. 'legato' jatkaa tasosta level,
+     * 'retrigger' painaa tason ensin lyhyesti nollaan. Palauttaa { start, from }.
+     */
+    function restartEnvelope(param, time, trigger, level) {
+        holdAt(param, time, level);
+        if (trigger !== 'retrigger' || level === 0) return { start: time, from: level };
+        param.linearRampToValueAtTime(0, time + RETRIGGER_FADE);
+        return { start: time + RETRIGGER_FADE, from: 0 };
+    }
+
+    // Huippuvoimakkuus velositeetin mukaan; unison-kopiot skaalataan, jotta kokonaisvoimakkuus pysyy suunnilleen samana
+    function getPeakGain(adsr, velocity, unisonCount) {
+        return ((1 - adsr.velSens) + (adsr.velSens * getVelocityAmount(velocity, adsr.velCurve))) / Math.sqrt(unisonCount);
+    }
+
+    // --- VELOCITY JA KEYTRACK ---
+
+    /**
+     * Velocity-käyrä: palauttaa 0..1. 'exp' vaatii kovemman iskun, 'log' nousee nopeasti,
+     * 'fixed' soittaa aina täydellä voimakkuudella.
+     */
+    function getVelocityAmount(velocity, curve) {
+        const v = Math.min(1, Math.max(0, velocity / 127));
+        if (curve === 'exp') return v * v;
+        if (curve === 'log') return Math.log1p(9 * v) / Math.log(10);
+        if (curve === 'fixed') return 1;
+        return v;
+    }
+
+    /**
+     * Äänikohtainen spektrin kallistus (dB/oktaavi). Hiljaisempi isku tummentaa velTilt-määrällä,
+     * keyTilt tummentaa C4:n yläpuolella ja kirkastaa sen alapuolella oktaavia kohden.
+     */
+    function getVoiceTilt(adsr, velocity, freq) {
+        const velocityTilt = (adsr.velTilt || 0) * (getVelocityAmount(velocity, adsr.velCurve) - 1);
+        const keyTilt = -(adsr.keyTilt || 0) * Math.log2(freq / KEYTRACK_BASE_FREQ);
+        return Math.round((velocityTilt + keyTilt) / TILT_STEP) * TILT_STEP;
+    }
+
+    // Kerroksen vahvistus kallistuksesta: perussävel (kerroin 1) ei muutu
+    function getTiltGain(tilt, multiplier) {
+        return tilt && multiplier > 0 ? Math.pow(10, (tilt * Math.log2(multiplier)) / 20) : 1;
+    }
+
+    function getPartialGain(noteData, p) {
+        return p.muted ? 0 : p.amplitude * getTiltGain(noteData.tilt, p.multiplier);
+    }
+
+    // PeriodicWave-tilan äänenväri äänen omalla kallistuksella
+    function getTiltedTimbre(timbre, tilt) {
+        if (!tilt) return timbre;
+        return { ...timbre, amplitudes: timbre.amplitudes.map((a, i) => a * getTiltGain(tilt, timbre.freqMultipliers[i])) };
+    }
+
+    /**
+     * Kytkee kerroksen ADSR-vahvistimeen. Kerroskohtainen verhokäyrä lisää väliin
+     * oman vahvistimen, jonka ajat ja sustain-taso skaalataan globaalista ADSR:stä.
+     */
+    function connectPartial(audioContext, noteData, index, partialGain, target, adsr, time) {
+        const envelope = noteData.envelopes && noteData.envelopes[index];
+        if (!envelope) {
+            partialGain.connect(target);
+            return null;
+        }
+        const envGain = audioContext.createGain();
+        // Unison-kopioiden saman kerroksen verhokäyrät ovat identtiset, joten ajastus tallennetaan indeksillä
+        noteData.partialSchedules[index] = schedulePartialEnvelope(envGain.gain, time, envelope, adsr, 0);
+        partialGain.connect(envGain);
+        envGain.connect(target);
+        noteData.nodeCount += 1;
+        return envGain;
+    }
+
+    // --- UNISON ---
+
+    // Unison-kopioiden määrä rajattuna välille 1..MAX_UNISON (äänijakaja laskee polyfoniapainon tästä)
+    function getUnisonCount(unison) {
+        return unison ? Math.max(1, Math.min(MAX_UNISON, Math.round(unison.voices) || 1)) : 1;
+    }
+
+    /**
+     * Laskee unison-kopioiden virityspoikkeamat (senttiä) ja panoroinnit.
+     * Kopiot jaetaan tasaisesti välille -detune/2..+detune/2 ja -spread..+spread.
+     */
+    function getUnisonLayout(unison) {
+        const count = getUnisonCount(unison);
+        if (count === 1) return [{ detune: 0, pan: 0 }];
+        return Array.from({ length: count }, (_, i) => {
+            const position = (i / (count - 1)) * 2 - 1;
+            return { detune: position * (unison.detune || 0) / 2, pan: position * (unison.spread || 0) };
+        });
+    }
+
+    /**
+     * Luo yhden unison-kopion: oma StereoPanner ja satunnainen alkuvaihe
+     * (viive yhden perusjakson sisällä). Yksittäinen ääni kytketään suoraan.
+     */
+    function createLayer(audioContext, noteData, layout, freq, time) {
+        const layer = { detune: layout.detune, panner: null, input: noteData.voiceInput, sources: [] };
+        if (noteData.unisonCount === 1) return layer;
+
+        const phaseOffset = audioContext.createDelay(1);
+        phaseOffset.delayTime.setValueAtTime(Math.min(0.99, Math.random() / freq), time);
+        layer.panner = audioContext.createStereoPanner();
+        layer.panner.pan.setValueAtTime(layout.pan, time);
+        phaseOffset.connect(layer.panner);
+        layer.panner.connect(noteData.voiceInput);
+        layer.input = phaseOffset;
+        noteData.nodeCount += 2;
+        return layer;
+    }
+
+    // --- ÄÄNIKOHTAINEN SUODIN ---
+
+    // Cutoffin perustaso: asetettu cutoff siirrettynä keytrackin ja velositeetin mukaan
+    function getFilterBaseFreq(filter, freq, velocity) {
+        const keyOctaves = filter.keytrack * Math.log2(freq / KEYTRACK_BASE_FREQ);
+        const velocityOctaves = filter.velocity * VELOCITY_OCTAVES * (velocity / 127 - 1);
+        return Math.max(20, filter.cutoff * Math.pow(2, keyOctaves + velocityOctaves));
+    }
+
+    // Suotimen ADSR ajetaan detune-parametriin (senttiä), jolloin cutoffia voi säätää soiton aikana
+    function scheduleFilterEnvelope(noteData, time, from) {
+        const f = noteData.filter.settings;
+        noteData.filter.nodes.forEach(node => {
+            noteData.filter.schedule = scheduleAdsr(node.detune, time, f.envAmount * 1200, f, from);
+        });
+    }
+
+    /**
+     * Rakentaa äänen suotimen unison-kopioiden ja ADSR-vahvistimen väliin.
+     * 24 dB/okt = kaksi 12 dB:n biquadia sarjassa.
+     */
+    function createVoiceFilter(audioContext, noteData, filter, freq, velocity, time) {
+        const stages = filter.slope === 24 ? 2 : 1;
+        const baseFreq = getFilterBaseFreq(filter, freq, velocity);
+        const nodes = [];
+        for (let i = 0; i < stages; i++) {
+            const biquad = audioContext.createBiquadFilter();
+            biquad.type = filter.type;
+            biquad.frequency.setValueAtTime(baseFreq, time);
+            biquad.Q.setValueAtTime(filter.resonance, time);
+            if (nodes.length > 0) nodes[nodes.length - 1].connect(biquad);
+            nodes.push(biquad);
         }
+        nodes[nodes.length - 1].connect(noteData.gainNode);
+
+        noteData.filter = { nodes: nodes, settings: { ...filter }, velocity: velocity };
+        noteData.voiceInput = nodes[0];
+        noteData.nodeCount += stages;
+        scheduleFilterEnvelope(noteData, time, 0);
+    }
+
+    /**
+     * Kutsutaan kun äänenväri muuttuu (updateAdditiveParams). Rakentaa PeriodicWaven
+     * valmiiksi ja palauttaa käytettävän renderöintitilan: 'periodic' tai 'partials'.
+     * Kerroskohtaiset verhokäyrät vaativat aina kerroskohtaisen renderöinnin.
+     */
+    function updateTimbre(audioContext, timbre) {
+        if (hasPartialEnvelopes(timbre) || !isHarmonic(timbre) || !canUsePeriodic()) return 'partials';
+        getPeriodicWave(audioContext, timbre);
+        return 'periodic';
     }
 
     /**
      * Soittaa nuotin joko sampleria tai syntetisaattoria käyttäen.
+     * Jos kaikki kertoimet ovat kokonaislukuja, käytetään yhtä PeriodicWave-oskillaattoria.
+     * globals.unison = { voices, detune, spread } soittaa saman äänen useana kopiona.
+     * globals.filter (katso filter.js) lisää äänikohtaisen suotimen ennen ADSR-vahvistinta.
+     * when = AudioContextin aika, jolloin ääni alkaa (sekvensserin ennakkoajastus); oletuksena heti.
      */
-    function play(audioContext, freq, velocity, adsr, globals, targetNode) {
-        const time = audioContext.currentTime;
+    function play(audioContext, freq, velocity, adsr, globals, targetNode, when) {
+        const time = Math.max(audioContext.currentTime, when || 0);
+        const envelopes = hasPartialEnvelopes(globals) ? globals.envelopes : null;
+        const engine = getActiveEngine();
+        const usePeriodic = !envelopes && isHarmonic(globals) && canUsePeriodic();
+        const sampleSource = engine === 'sample' ? waveform : null; // Äänen oma viittaus, vaikka lähde vaihtuisi kesken
+        const unisonLayout = getUnisonLayout(globals.unison);
         const noteData = {
             nodes: [],
             gainNode: audioContext.createGain(),
-            type: isSampleLoaded ? 'sampler' : 'synth'
+            voiceInput: null, // Unison-kopiot kytketään tähän: suodin tai suoraan ADSR-vahvistin
+            filter: null,     // { nodes, settings, velocity } kun äänikohtainen suodin on käytössä
+            type: usePeriodic ? 'periodic' : (sampleSource ? 'sampler' : 'synth'),
+            sampleBaseFreq: sampleSource ? sampleSource.baseFreq : null, // Sampler-tilan toistonopeuden perustaajuus
+            nodeCount: 1, // ADSR-vahvistin; jokainen kerros lisää lähteen, viiveen ja vahvistimen
+            baseFreq: freq,
+            partials: [], // { index, source, phaseDelay, gain, envGain, multiplier, amplitude, muted } reaaliaikaisia päivityksiä varten
+            envelopes: envelopes, // Kerroskohtaiset verhokäyrät (null = vain globaali ADSR)
+            envelope: null,       // ADSR-vahvistimen ajastus (katso scheduleAdsr)
+            partialSchedules: [], // Kerroskohtaisten verhokäyrien ajastukset indeksin mukaan
+            timbre: null, // PeriodicWave-tilassa äänen oma kopio äänenväristä
+            layers: [],   // Unison-kopiot { detune, panner, input, sources }
+            tilt: getVoiceTilt(adsr, velocity, freq), // Velocityn ja keytrackin kallistus (dB/okt)
+            releaseCurve: adsr.releaseCurve || 'linear',
+            unisonCount: unisonLayout.length,
+            pitchBendCents: globals.pitchBendCents
         };
 
         // Lasketaan voimakkuus ADSR:n ja velositeetin mukaan
-        const peakGain = ((1 - adsr.velSens) + (adsr.velSens * (velocity / 127)));
-        const sustainGain = peakGain * adsr.sustain;
+        const peakGain = getPeakGain(adsr, velocity, noteData.unisonCount);
 
-        noteData.gainNode.gain.setValueAtTime(0, time);
-        noteData.gainNode.gain.linearRampToValueAtTime(peakGain, time + adsr.attack);
-        noteData.gainNode.gain.linearRampToValueAtTime(sustainGain, time + adsr.attack + adsr.decay);
+        if (envelopes) {
+            // Kerroskohtaiset verhokäyrät hoitavat A/D/S-vaiheet, pääsolmu pitää vain voimakkuuden ja releasen
+            noteData.envelope = scheduleAdsr(noteData.gainNode.gain, time, peakGain, CONSTANT_ENVELOPE, peakGain);
+        } else {
+            noteData.envelope = scheduleAdsr(noteData.gainNode.gain, time, peakGain, adsr);
+        }
         noteData.gainNode.connect(targetNode);
 
-        if (isSampleLoaded) {
-            // --- SAMPLERI-TILA (Sample-pohjainen additiivinen synteesi) ---
-            // Käydään läpi kaikki harmoniset aallot kuten syntetisaattorissakin,
-            // mutta oskillaattorin sijaan käytetään sine.wav-samplea.
+        noteData.voiceInput = noteData.gainNode;
+        if (globals.filter && globals.filter.type !== 'off') {
+            createVoiceFilter(audioContext, noteData, globals.filter, freq, getVelocityAmount(velocity, adsr.velCurve) * 127, time);
+        }
+
+        if (usePeriodic) {
+            noteData.timbre = {
+                numHarmonics: globals.numHarmonics,
+                freqMultipliers: globals.freqMultipliers.slice(0, globals.numHarmonics),
+                amplitudes: globals.amplitudes.slice(0, globals.numHarmonics),
+                phasesRad: globals.phasesRad.slice(0, globals.numHarmonics)
+            };
+        }
+
+        unisonLayout.forEach(layout => {
+            const layer = createLayer(audioContext, noteData, layout, freq, time);
+            noteData.layers.push(layer);
+
+            if (usePeriodic) {
+                // --- PERIODICWAVE-TILA (kaikki harmoniset yhdessä oskillaattorissa) ---
+                const osc = audioContext.createOscillator();
+                osc.setPeriodicWave(getPeriodicWave(audioContext, getTiltedTimbre(noteData.timbre, noteData.tilt)));
+                osc.frequency.setValueAtTime(freq, time);
+                osc.detune.setValueAtTime(globals.pitchBendCents + layer.detune, time);
+                osc.connect(layer.input);
+                osc.start(time);
+
+                noteData.nodes.push(osc);
+                layer.sources.push(osc);
+                noteData.nodeCount += 1;
+
+            } else if (sampleSource) {
+                // --- SAMPLERI-TILA (Sample-pohjainen additiivinen synteesi) ---
+                // Käydään läpi kaikki harmoniset aallot kuten syntetisaattorissakin,
+                // mutta oskillaattorin sijaan käytetään sine.wav:ia tai tuotua aaltomuotoa.
             
-            for (let i = 0; i < globals.numHarmonics; i++) {
-                // Lasketaan tämän kerroksen taajuus FreqMul-arvon perusteella
-                const harmonicFreq = freq * globals.freqMultipliers[i];
+                for (let i = 0; i < globals.numHarmonics; i++) {
+                    // Lasketaan tämän kerroksen taajuus FreqMul-arvon perusteella
+                    const harmonicFreq = freq * globals.freqMultipliers[i];
                 
-                // Nyquist-tarkistus (ettei ylitetä puolta näytteenottotaajuudesta)
-                if (harmonicFreq <= 0 || harmonicFreq > audioContext.sampleRate / 2) continue;
+                    // Nyquist-tarkistus (ettei ylitetä puolta näytteenottotaajuudesta)
+                    if (harmonicFreq <= 0 || harmonicFreq > audioContext.sampleRate / 2) continue;
 
-                // Luodaan tarvittavat noodit tälle kerrokselle
-                const source = audioContext.createBufferSource();
-                const phaseDelay = audioContext.createDelay(0.1); // Max 0.1s viive riittää vaiheenkääntöön
-                const harmonicGain = audioContext.createGain();
+                    // Luodaan tarvittavat noodit tälle kerrokselle
+                    const source = audioContext.createBufferSource();
+                    const phaseDelay = audioContext.createDelay(0.1); // Max 0.1s viive riittää vaiheenkääntöön
+                    const harmonicGain = audioContext.createGain();
 
-                // Asetetaan puskuri
-                source.buffer = audioBuffer;
+                    // Asetetaan puskuri
+                    source.buffer = sampleSource.buffer;
 
-                // Lasketaan toistonopeus: (Tavoitetaajuus / Perustaajuus)
-                source.playbackRate.value = harmonicFreq / BASE_FREQ;
+                    // Lasketaan toistonopeus: (Tavoitetaajuus / Perustaajuus)
+                    source.playbackRate.value = harmonicFreq / sampleSource.baseFreq;
 
-                // Asetetaan Pitch Bend (Detune)
-                source.detune.setValueAtTime(globals.pitchBendCents, time);
+                    // Asetetaan Pitch Bend (Detune)
+                    source.detune.setValueAtTime(globals.pitchBendCents + layer.detune, time);
 
-                // Loop-asetukset (sine.wav optimoidut loop-pisteet)
-                source.loop = true;
-                source.loopStart = 0.3;
-                source.loopEnd = 0.93;
+                    // Loop-asetukset (sine.wav:n kiinteät tai tuonnissa tunnistetut loop-pisteet)
+                    source.loop = true;
+                    source.loopStart = sampleSource.loopStart;
+                    source.loopEnd = sampleSource.loopEnd;
 
-                // Asetetaan amplitudi (Amp-liukusäädin)
-                harmonicGain.gain.setValueAtTime(globals.amplitudes[i], time);
+                    // Asetetaan amplitudi (Amp-liukusäädin)
+                    harmonicGain.gain.setValueAtTime(globals.amplitudes[i] * getTiltGain(noteData.tilt, globals.freqMultipliers[i]), time);
 
-                // Lasketaan vaiheensiirto (Phase-liukusäädin)
-                // Viive (s) = Vaihe (rad) / (2 * PI * Taajuus)
-                const phaseRad = globals.phasesRad[i] % (2 * Math.PI);
-                let delayAmount = 0;
-                if (phaseRad > 0) {
-                    delayAmount = phaseRad / (2 * Math.PI * harmonicFreq);
-                }
-                phaseDelay.delayTime.setValueAtTime(delayAmount, time);
+                    // Lasketaan vaiheensiirto (Phase-liukusäädin)
+                    // Viive (s) = Vaihe (rad) / (2 * PI * Taajuus)
+                    const phaseRad = globals.phasesRad[i] % (2 * Math.PI);
+                    let delayAmount = 0;
+                    if (phaseRad > 0) {
+                        delayAmount = phaseRad / (2 * Math.PI * harmonicFreq);
+                    }
+                    phaseDelay.delayTime.setValueAtTime(delayAmount, time);
 
-                // Kytkennät: Source -> Delay -> HarmonicGain -> MainADSRGain
-                source.connect(phaseDelay);
-                phaseDelay.connect(harmonicGain);
-                harmonicGain.connect(noteData.gainNode);
+                    // Kytkennät: Source -> Delay -> HarmonicGain -> (EnvGain) -> MainADSRGain
+                    source.connect(phaseDelay);
+                    phaseDelay.connect(harmonicGain);
+                    const envGain = connectPartial(audioContext, noteData, i, harmonicGain, layer.input, adsr, time);
 
-                // Käynnistys
-                source.start(time);
+                    // Käynnistys
+                    source.start(time);
                 
-                // Tallennetaan lähde, jotta se voidaan pysäyttää
-                noteData.nodes.push(source);
-            }
+                    // Tallennetaan lähde, jotta se voidaan pysäyttää
+                    noteData.nodes.push(source);
+                    layer.sources.push(source);
+                    noteData.partials.push({ index: i, source: source, phaseDelay: phaseDelay, gain: harmonicGain, envGain: envGain, multiplier: globals.freqMultipliers[i], amplitude: globals.amplitudes[i], muted: false });
+                    noteData.nodeCount += 3;
+                }
 
-        } else {
-            // --- SYNTETISAATTORI-TILA (Additiivinen fallback) ---
-            for (let i = 0; i < globals.numHarmonics; i++) {
-                const osc = audioContext.createOscillator();
-                const phaseDelay = audioContext.createDelay(0.1);
-                const cmpGain = audioContext.createGain();
+            } else {
+                // --- OSKILLAATTORI-TILA (siniaallot, wavetable-moottorilla tuodun aaltomuodon jakso) ---
+                const cycle = engine === 'wavetable' && hasCustomCycle() ? getCycleWave(audioContext) : null;
+                for (let i = 0; i < globals.numHarmonics; i++) {
+                    const osc = audioContext.createOscillator();
+                    const phaseDelay = audioContext.createDelay(0.1);
+                    const cmpGain = audioContext.createGain();
 
-                osc.type = 'sine';
-                // Detune ja taajuus
-                const harmonicFreq = freq * globals.freqMultipliers[i];
-                if (harmonicFreq <= 0 || harmonicFreq > audioContext.sampleRate / 2) continue;
+                    if (cycle) osc.setPeriodicWave(cycle);
+                    else osc.type = 'sine';
+                    // Detune ja taajuus
+                    const harmonicFreq = freq * globals.freqMultipliers[i];
+                    if (harmonicFreq <= 0 || harmonicFreq > audioContext.sampleRate / 2) continue;
                 
-                osc.frequency.setValueAtTime(harmonicFreq, time);
-                osc.detune.setValueAtTime(globals.pitchBendCents, time);
+                    osc.frequency.setValueAtTime(harmonicFreq, time);
+                    osc.detune.setValueAtTime(globals.pitchBendCents + layer.detune, time);
 
-                // Vaiheensiirto
-                const phaseRad = globals.phasesRad[i] % (2 * Math.PI);
-                const delayAmount = phaseRad / (2 * Math.PI * harmonicFreq);
-                phaseDelay.delayTime.setValueAtTime(delayAmount > 0 ? delayAmount : 0, time);
+                    // Vaiheensiirto
+                    const phaseRad = globals.phasesRad[i] % (2 * Math.PI);
+                    const delayAmount = phaseRad / (2 * Math.PI * harmonicFreq);
+                    phaseDelay.delayTime.setValueAtTime(delayAmount > 0 ? delayAmount : 0, time);
 
-                cmpGain.gain.setValueAtTime(globals.amplitudes[i], time);
+                    cmpGain.gain.setValueAtTime(globals.amplitudes[i] * getTiltGain(noteData.tilt, globals.freqMultipliers[i]), time);
 
-                osc.connect(phaseDelay);
-                phaseDelay.connect(cmpGain);
-                cmpGain.connect(noteData.gainNode);
+                    osc.connect(phaseDelay);
+                    phaseDelay.connect(cmpGain);
+                    const envGain = connectPartial(audioContext, noteData, i, cmpGain, layer.input, adsr, time);
 
-                osc.start(time);
-                noteData.nodes.push(osc);
+                    osc.start(time);
+                    noteData.nodes.push(osc);
+                    layer.sources.push(osc);
+                    noteData.partials.push({ index: i, source: osc, phaseDelay: phaseDelay, gain: cmpGain, envGain: envGain, multiplier: globals.freqMultipliers[i], amplitude: globals.amplitudes[i], muted: false });
+                    noteData.nodeCount += 3;
+                }
             }
-        }
+        });
 
         return noteData;
     }
 
     /**
      * Pysäyttää nuotin noudattaen ADSR Release -aikaa.
+     * when = AudioContextin aika, jolloin release alkaa; oletuksena heti.
      */
-    function stop(audioContext, noteData, adsrTime) {
-        const time = audioContext.currentTime;
+    function stop(audioContext, noteData, adsrTime, when) {
+        const time = Math.max(audioContext.currentTime, when || 0);
         const gainParam = noteData.gainNode.gain;
 
-        gainParam.cancelScheduledValues(time);
-        gainParam.setValueAtTime(gainParam.value, time);
-        gainParam.linearRampToValueAtTime(0.0001, time + adsrTime);
+        const level = getScheduledLevel(noteData.envelope, time);
+        holdAt(gainParam, time, level);
+        rampSegment(gainParam, level, 0.0001, time, adsrTime, noteData.releaseCurve);
+
+        // Kerroskohtaiset verhokäyrät jäädytetään release-hetken arvoonsa releasen ajaksi
+        noteData.partials.forEach(p => {
+            if (!p.envGain) return;
+            holdAt(p.envGain.gain, time, getScheduledLevel(noteData.partialSchedules[p.index], time));
+        });
+
+        // Suotimen verhokäyrä palaa perustasolle omalla release-ajallaan
+        if (noteData.filter) {
+            const filterLevel = getScheduledLevel(noteData.filter.schedule, time);
+            noteData.filter.nodes.forEach(node => {
+                holdAt(node.detune, time, filterLevel);
+                node.detune.linearRampToValueAtTime(0, time + noteData.filter.settings.release);
+            });
+        }
 
         noteData.nodes.forEach(node => {
             if (node.stop) {
@@ -153,10 +678,213 @@ const SineEngine = (() => {
         // Siivotaan solmut kun ääni on vaiennut
         setTimeout(() => {
             noteData.gainNode.disconnect();
-        }, (adsrTime + 0.2) * 1000);
+        }, (time - audioContext.currentTime + adsrTime + 0.2) * 1000);
+    }
+
+    // --- SOIVIEN ÄÄNTEN PÄIVITYS ---
+
+    /**
+     * Asettaa soivan äänen virityksen (senttiä), esim. pitch bend.
+     */
+    function setDetune(audioContext, noteData, cents) {
+        const time = audioContext.currentTime;
+        noteData.pitchBendCents = cents;
+        noteData.layers.forEach(layer => {
+            layer.sources.forEach(source => source.detune.setTargetAtTime(cents + layer.detune, time, SMOOTHING));
+        });
+    }
+
+    /**
+     * Päivittää soivan äänen unison-virityksen ja stereolevityksen.
+     * Kopioiden määrä on kiinteä äänen eliniän ajan.
+     */
+    function setUnison(audioContext, noteData, unison) {
+        const time = audioContext.currentTime;
+        const layout = getUnisonLayout({ ...unison, voices: noteData.layers.length });
+        noteData.layers.forEach((layer, i) => {
+            layer.detune = layout[i].detune;
+            if (layer.panner) layer.panner.pan.setTargetAtTime(layout[i].pan, time, SMOOTHING);
+            layer.sources.forEach(source => source.detune.setTargetAtTime(noteData.pitchBendCents + layer.detune, time, SMOOTHING));
+        });
+    }
+
+    // PeriodicWave-äänessä muutos vaihtaa koko aaltomuodon (ei pehmennystä)
+    function applyPeriodicTimbre(audioContext, noteData) {
+        if (!isHarmonic(noteData.timbre)) return; // Epäharmonisia kertoimia ei voi soittaa tässä tilassa
+        const wave = getPeriodicWave(audioContext, getTiltedTimbre(noteData.timbre, noteData.tilt));
+        noteData.nodes.forEach(osc => osc.setPeriodicWave(wave));
+    }
+
+    /**
+     * Päivittää kerrosten amplitudit pehmeästi. Nyquistin yli siirtyneet kerrokset pysyvät vaiennettuina.
+     */
+    function setAmplitudes(audioContext, noteData, amplitudes) {
+        const time = audioContext.currentTime;
+        if (noteData.type === 'periodic') {
+            noteData.timbre.amplitudes = noteData.timbre.amplitudes.map((a, i) => amplitudes[i] !== undefined ? amplitudes[i] : a);
+            applyPeriodicTimbre(audioContext, noteData);
+            return;
+        }
+        noteData.partials.forEach(p => {
+            if (amplitudes[p.index] === undefined) return;
+            p.amplitude = amplitudes[p.index];
+            p.gain.gain.setTargetAtTime(getPartialGain(noteData, p), time, SMOOTHING);
+        });
+    }
+
+    /**
+     * Päivittää kerrosten taajuuskertoimet (ja valinnaisesti vaiheet) soivaan ääneen.
+     */
+    function setHarmonicMultipliers(audioContext, noteData, multipliers, phasesRad) {
+        const time = audioContext.currentTime;
+        if (noteData.type === 'periodic') {
+            const t = noteData.timbre;
+            const previous = t.freqMultipliers;
+            t.freqMultipliers = previous.map((m, i) => multipliers[i] !== undefined ? multipliers[i] : m);
+            if (phasesRad) t.phasesRad = t.phasesRad.map((p, i) => phasesRad[i] !== undefined ? phasesRad[i] : p);
+            // Jos kertoimet muuttuvat epäharmonisiksi, ääni jatkaa viimeisellä soitettavalla aaltomuodolla
+            if (!isHarmonic(t)) { t.freqMultipliers = previous; return; }
+            applyPeriodicTimbre(audioContext, noteData);
+            return;
+        }
+        noteData.partials.forEach(p => {
+            const multiplier = multipliers[p.index];
+            if (multiplier === undefined) return;
+            const harmonicFreq = noteData.baseFreq * multiplier;
+            p.multiplier = multiplier;
+
+            // Nyquist-tarkistus: liian korkea kerros vaiennetaan, ei poisteta
+            const wasMuted = p.muted;
+            p.muted = harmonicFreq <= 0 || harmonicFreq > audioContext.sampleRate / 2;
+            // Kallistus riippuu kertoimesta, joten vahvistus päivitetään myös kertoimen muuttuessa
+            if (p.muted !== wasMuted || noteData.tilt) p.gain.gain.setTargetAtTime(getPartialGain(noteData, p), time, SMOOTHING);
+            if (p.muted) return;
+
+            if (noteData.type === 'sampler') {
+                p.source.playbackRate.setTargetAtTime(harmonicFreq / noteData.sampleBaseFreq, time, SMOOTHING);
+            } else {
+                p.source.frequency.setTargetAtTime(harmonicFreq, time, SMOOTHING);
+            }
+
+            if (phasesRad && phasesRad[p.index] !== undefined) {
+                const phaseRad = phasesRad[p.index] % (2 * Math.PI);
+                const delayAmount = phaseRad > 0 ? phaseRad / (2 * Math.PI * harmonicFreq) : 0;
+                p.phaseDelay.delayTime.setTargetAtTime(delayAmount, time, SMOOTHING);
+            }
+        });
+    }
+
+    /**
+     * Siirtää soivan äänen uuteen perustaajuuteen (portamento). glideTime 0 = välitön siirto.
+     * when = AudioContextin aika, jolloin liuku alkaa; oletuksena heti.
+     */
+    function setFrequency(audioContext, noteData, freq, glideTime, when) {
+        const time = Math.max(audioContext.currentTime, when || 0);
+        noteData.baseFreq = freq;
+        // Sekvensserin slide ajastetaan etukäteen: liuku alkaa arvosta, joka parametrilla on hetkellä time
+        // (kesken oleva edellinen liuku pysäytetään siihen), ei nykyisestä arvosta
+        const glide = (param, value) => {
+            if (param.cancelAndHoldAtTime) {
+                param.cancelAndHoldAtTime(time);
+            } else {
+                param.cancelScheduledValues(time);
+                param.setValueAtTime(param.value, time);
+            }
+            if (glideTime > 0) param.exponentialRampToValueAtTime(value, time + glideTime);
+            else param.setValueAtTime(value, time);
+        };
+
+        // Keytrack seuraa liukumaa
+        if (noteData.filter) {
+            const filterFreq = getFilterBaseFreq(noteData.filter.settings, freq, noteData.filter.velocity);
+            noteData.filter.nodes.forEach(node => glide(node.frequency, filterFreq));
+        }
+
+        if (noteData.type === 'periodic') {
+            noteData.nodes.forEach(osc => glide(osc.frequency, freq));
+            return;
+        }
+        noteData.partials.forEach(p => {
+            const harmonicFreq = freq * p.multiplier;
+            const wasMuted = p.muted;
+            p.muted = harmonicFreq <= 0 || harmonicFreq > audioContext.sampleRate / 2;
+            if (p.muted !== wasMuted) p.gain.gain.setTargetAtTime(getPartialGain(noteData, p), time, SMOOTHING);
+            if (p.muted) return;
+
+            if (noteData.type === 'sampler') {
+                glide(p.source.playbackRate, harmonicFreq / noteData.sampleBaseFreq);
+            } else {
+                glide(p.source.frequency, harmonicFreq);
+            }
+        });
+    }
+
+    /**
+     * Käynnistää ADSR:n uudelleen (mono-tila, uusi nuotti ilman legatoa).
+     * adsr.trigger: 'legato' jatkaa nykyisestä tasosta, 'retrigger' aloittaa nollasta.
+     * when = AudioContextin aika uudelle iskulle; oletuksena heti.
+     */
+    function retrigger(audioContext, noteData, adsr, velocity, when) {
+        const time = Math.max(audioContext.currentTime, when || 0);
+        const peakGain = getPeakGain(adsr, velocity, noteData.unisonCount);
+
+        // Uusi isku ja sävelkorkeus määräävät kirkkauden uudelleen
+        const tilt = getVoiceTilt(adsr, velocity, noteData.baseFreq);
+        if (tilt !== noteData.tilt) {
+            noteData.tilt = tilt;
+            if (noteData.type === 'periodic') applyPeriodicTimbre(audioContext, noteData);
+            else noteData.partials.forEach(p => p.gain.gain.setTargetAtTime(getPartialGain(noteData, p), time, SMOOTHING));
+        }
+
+        const gainParam = noteData.gainNode.gain;
+        if (noteData.filter) {
+            const f = noteData.filter;
+            const filterLevel = getScheduledLevel(f.schedule, time);
+            f.nodes.forEach(node => {
+                const restart = restartEnvelope(node.detune, time, adsr.trigger, filterLevel);
+                f.schedule = scheduleAdsr(node.detune, restart.start, f.settings.envAmount * 1200, f.settings, restart.from);
+            });
+        }
+
+        if (!noteData.envelopes) {
+            const restart = restartEnvelope(gainParam, time, adsr.trigger, getScheduledLevel(noteData.envelope, time));
+            noteData.envelope = scheduleAdsr(gainParam, restart.start, peakGain, adsr, restart.from);
+            return;
+        }
+        holdAt(gainParam, time, getScheduledLevel(noteData.envelope, time));
+        noteData.envelope = scheduleAdsr(gainParam, time, peakGain, CONSTANT_ENVELOPE, peakGain);
+        // Saman kerroksen unison-kopiot jakavat ajastuksen, joten uusi lasketaan kerran indeksiä kohden
+        const previous = noteData.partialSchedules.slice();
+        noteData.partials.forEach(p => {
+            if (!p.envGain) return;
+            const restart = restartEnvelope(p.envGain.gain, time, adsr.trigger, getScheduledLevel(previous[p.index], time));
+            noteData.partialSchedules[p.index] = schedulePartialEnvelope(p.envGain.gain, restart.start, noteData.envelopes[p.index], adsr, restart.from);
+        });
+    }
+
+    /**
+     * Päivittää soivan äänen suotimen tyypin, cutoffin ja resonanssin.
+     * Suotimen lisääminen tai jyrkkyyden vaihto koskee vain uusia ääniä.
+     */
+    function setFilter(audioContext, noteData, filter) {
+        if (!noteData.filter || filter.type === 'off') return;
+        const time = audioContext.currentTime;
+        const f = noteData.filter;
+        f.settings = { ...f.settings, ...filter, slope: f.settings.slope };
+        const baseFreq = getFilterBaseFreq(f.settings, noteData.baseFreq, f.velocity);
+        f.nodes.forEach(node => {
+            node.type = filter.type;
+            node.frequency.setTargetAtTime(baseFreq, time, SMOOTHING);
+            node.Q.setTargetAtTime(filter.resonance, time, SMOOTHING);
+        });
     }
 
-    return { init, play, stop, isSampleLoaded: () => isSampleLoaded };
+    return {
+        init, play, stop, updateTimbre, setDetune, setUnison, setFrequency, retrigger, setFilter, setAmplitudes, setHarmonicMultipliers,
+        setEngine, setWaveform, resetWaveform, getStatus, getCurveValue, getUnisonCount,
+        isSampleLoaded: () => !!(waveform && waveform.buffer),
+        onChange: (fn) => listeners.push(fn)
+    };
 })();
 
 // Eksportoidaan globaalisti käyttöön
@@ -0,0 +1,204 @@
+/**
+ * tuning.js - Synthwave Lab Tuning Module
+ * Scala-virityksen (.scl) ja näppäinkartan (.kbm) tuki.
+ * Kaikki nuotti -> taajuus -muunnokset kulkevat noteToFrequency-funktion kautta,
+ * oletuksena tavallinen 12-TET (A4 = 440 Hz).
+ */
+
+const Tuning = (() => {
+    const DEFAULT_REF_NOTE = 69;    // A4
+    const DEFAULT_REF_FREQ = 440.0;
+    const DEFAULT_MIDDLE_NOTE = 60; // C4, skaalan aste 0 lineaarisessa kartassa
+
+    let scale = null;     // { name, description, cents: [aste 1..N sentteinä, viimeinen = periodi], text }
+    let keyboard = null;  // { name, size, first, last, middle, refNote, refFreq, octaveDegree, mapping: [aste tai null], text }
+    const listeners = [];
+
+    // --- JÄSENNYS ---
+
+    // Scala-tiedostoissa '!'-alkuiset rivit ovat kommentteja
+    function getContentLines(text) {
+        return String(text).split(/\r?\n/).filter(line => !line.trim().startsWith('!'));
+    }
+
+    /**
+     * Muuntaa yhden .scl-sävelrivin sentteihin. Piste = senttiarvo,
+     * muuten suhdeluku (esim. 3/2) tai kokonaisluku (esim. 2 = 2/1).
+     */
+    function parsePitch(line) {
+        const token = line.trim().split(/\s+/)[0];
+        if (!token) throw new Error('Tyhjä sävelrivi');
+        if (token.includes('.')) {
+            const cents = parseFloat(token);
+            if (isNaN(cents)) throw new Error(`Virheellinen senttiarvo: ${token}`);
+            return cents;
+        }
+        const [num, den] = token.split('/');
+        const ratio = parseInt(num, 10) / (den !== undefined ? parseInt(den, 10) : 1);
+        if (!isFinite(ratio) || ratio <= 0) throw new Error(`Virheellinen suhdeluku: ${token}`);
+        return 1200 * Math.log2(ratio);
+    }
+
+    /**
+     * Jäsentää .scl-tiedoston. Heittää virheen, jos tiedosto on virheellinen.
+     */
+    function parseScl(text, name) {
+        const lines = getContentLines(text);
+        if (lines.length < 2) throw new Error('Scala-tiedosto on liian lyhyt');
+        const description = lines[0].trim();
+        const count = parseInt(lines[1].trim(), 10);
+        if (isNaN(count) || count < 1) throw new Error('Scala-tiedoston sävelmäärä puuttuu');
+
+        const pitchLines = lines.slice(2).filter(line => line.trim() !== '');
+        if (pitchLines.length < count) throw new Error(`Scala-tiedostossa on ${pitchLines.length} säveltä, odotettiin ${count}`);
+        const cents = pitchLines.slice(0, count).map(parsePitch);
+        if (cents[cents.length - 1] <= 0) throw new Error('Skaalan periodin täytyy olla positiivinen');
+
+        return { name: name || description || 'Custom scale', description, cents, text: String(text) };
+    }
+
+    /**
+     * Jäsentää .kbm-näppäinkartan. Kartan 'x' tarkoittaa soimatonta näppäintä.
+     */
+    function parseKbm(text, name) {
+        const lines = getContentLines(text).map(line => line.trim()).filter(line => line !== '');
+        if (lines.length < 7) throw new Error('Näppäinkartta on liian lyhyt');
+        const toInt = (value, label) => {
+            const n = parseInt(value, 10);
+            if (isNaN(n)) throw new Error(`Näppäinkartan kenttä puuttuu: ${label}`);
+            return n;
+        };
+
+        const size = toInt(lines[0], 'map size');
+        const map = {
+            name: name || 'Custom mapping',
+            size: size,
+            first: toInt(lines[1], 'first note'),
+            last: toInt(lines[2], 'last note'),
+            middle: toInt(lines[3], 'middle note'),
+            refNote: toInt(lines[4], 'reference note'),
+            refFreq: parseFloat(lines[5]),
+            octaveDegree: toInt(lines[6], 'octave degree'),
+            mapping: [],
+            text: String(text)
+        };
+        if (!(map.refFreq > 0)) throw new Error('Näppäinkartan referenssitaajuus on virheellinen');
+
+        for (let i = 0; i < size; i++) {
+            const entry = lines[7 + i];
+            map.mapping.push(entry === undefined || entry.toLowerCase() === 'x' ? null : toInt(entry, `mapping ${i}`));
+        }
+        return map;
+    }
+
+    // --- MUUNNOS ---
+
+    // Skaalan asteen senttiarvo, asteet yli skaalan koon jatkuvat seuraaviin periodeihin
+    function degreeToCents(degree) {
+        const n = scale.cents.length;
+        const period = scale.cents[n - 1];
+        const octave = Math.floor(degree / n);
+        const index = degree - octave * n;
+        return octave * period + (index === 0 ? 0 : scale.cents[index - 1]);
+    }
+
+    /**
+     * Palauttaa MIDI-nuotin senttiarvon suhteessa kartan keskinuottiin,
+     * tai null, jos näppäin on kartassa soimaton.
+     */
+    function noteToCents(midiNote, map) {
+        if (midiNote < map.first || midiNote > map.last) return null;
+        const offset = midiNote - map.middle;
+        if (map.size === 0) return degreeToCents(offset); // Lineaarinen kartta: jokainen näppäin on seuraava aste
+
+        const mapOctave = Math.floor(offset / map.size);
+        const degree = map.mapping[offset - mapOctave * map.size];
+        if (degree == null) return null;
+        const periodCents = map.octaveDegree > 0 ? degreeToCents(map.octaveDegree) : scale.cents[scale.cents.length - 1];
+        return mapOctave * periodCents + degreeToCents(degree);
+    }
+
+    function getActiveMapping() {
+        return keyboard || {
+            size: 0, first: 0, last: 127,
+            middle: DEFAULT_MIDDLE_NOTE, refNote: DEFAULT_REF_NOTE, refFreq: DEFAULT_REF_FREQ, octaveDegree: 0
+        };
+    }
+
+    /**
+     * Muuntaa MIDI-nuotin taajuudeksi nykyisellä virityksellä.
+     * Palauttaa null, jos näppäin ei soi (.kbm-kartan 'x' tai alueen ulkopuolella).
+     */
+    function noteToFrequency(midiNote) {
+        if (!scale) {
+            if (keyboard && (midiNote < keyboard.first || midiNote > keyboard.last)) return null;
+            const refNote = keyboard ? keyboard.refNote : DEFAULT_REF_NOTE;
+            const refFreq = keyboard ? keyboard.refFreq : DEFAULT_REF_FREQ;
+            return refFreq * Math.pow(2, (midiNote - refNote) / 12);
+        }
+        const map = getActiveMapping();
+        const cents = noteToCents(midiNote, map);
+        if (cents === null) return null;
+        const refCents = noteToCents(map.refNote, { ...map, first: 0, last: 127 });
+        return map.refFreq * Math.pow(2, (cents - (refCents || 0)) / 1200);
+    }
+
+    // --- TILA ---
+
+    function notifyChange() {
+        listeners.forEach(fn => fn());
+    }
+
+    function loadScale(text, name) {
+        scale = parseScl(text, name);
+        notifyChange();
+        return scale;
+    }
+
+    function loadKeyboardMapping(text, name) {
+        keyboard = parseKbm(text, name);
+        notifyChange();
+        return keyboard;
+    }
+
+    // Palauttaa tavallisen 12-TET-virityksen
+    function reset() {
+        scale = null;
+        keyboard = null;
+        notifyChange();
+    }
+
+    // Tiedostot tallennetaan asetuksiin alkuperäisinä teksteinä
+    function getData() {
+        return {
+            scl: scale ? scale.text : null, sclName: scale ? scale.name : null,
+            kbm: keyboard ? keyboard.text : null, kbmName: keyboard ? keyboard.name : null
+        };
+    }
+
+    function applyData(data) {
+        try {
+            scale = data && data.scl ? parseScl(data.scl, data.sclName) : null;
+            keyboard = data && data.kbm ? parseKbm(data.kbm, data.kbmName) : null;
+        } catch (err) {
+            console.warn('Tuning: tallennettua viritystä ei voitu lukea, käytetään 12-TET:iä.', err);
+            scale = null;
+            keyboard = null;
+        }
+        notifyChange();
+    }
+
+    function getDescription() {
+        const scaleName = scale ? `${scale.name} (${scale.cents.length} notes)` : '12-TET';
+        const mapName = keyboard ? keyboard.name : `A4 = ${DEFAULT_REF_FREQ} Hz`;
+        return `${scaleName} | ${mapName}`;
+    }
+
+    return {
+        noteToFrequency, parseScl, parseKbm, loadScale, loadKeyboardMapping, reset, getData, applyData, getDescription,
+        onChange: (fn) => listeners.push(fn)
+    };
+})();
+
+// Eksportoidaan globaalisti käyttöön
+window.Tuning = Tuning;
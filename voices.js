@@ -0,0 +1,371 @@
+/**
+ * Synthwave Lab - Voice Manager
+ * Äänijakaja SineEnginen ympärille: polyfoniaraja, äänten varastaminen
+ * lyhyellä häivytyksellä, mono/legato-tilat portamentolla ja jokaisen
+ * soivan äänen elinkaariobjekti.
+ * Toimii ilman palvelinta globaalin alustusfunktion kautta.
+ */
+
+window.initSynthLabVoices = (audioContext, ui, callbacks) => {
+    'use strict';
+
+    const STEAL_FADE_TIME = 0.015; // Varastetun äänen häivytysaika (s)
+    const CLEANUP_MARGIN = 0.2;    // Sama marginaali kuin SineEngine.stop:n siivouksessa
+    const MIN_SLIDE_TIME = 0.03;   // Sekvensserin slide kuuluu liukumana, vaikka glide olisi 0
+
+    let nextVoiceId = 1;
+    const voices = [];            // Kaikki soivat äänet (pidetyt, release-vaiheessa olevat ja varastetut)
+    const heldVoices = new Map(); // Nuotin tunniste -> pidetty ääni
+    const monoChannels = new Map(); // Kanava ('manual' / 'seq') -> { voice, notes: [pidetyt nuotit soittojärjestyksessä] }
+
+    // --- APUFUNKTIOT ---
+
+    function getMaxPolyphony() {
+        const max = ui.maxPolyphony ? parseInt(ui.maxPolyphony.value) : 12;
+        return isNaN(max) || max < 1 ? 1 : max;
+    }
+
+    /**
+     * Laskee polyfoniabudjettiin kuuluvat äänet.
+     * Varastetut äänet häipyvät jo pois, joten niitä ei lasketa.
+     */
+    function getLoad() {
+        return voices.reduce((sum, v) => (v.state === 'held' || v.state === 'released') ? sum + v.weight : sum, 0);
+    }
+
+    // Arvio äänen nykyisestä voimakkuudesta (ADSR-vahvistimen hetkellinen arvo)
+    function estimateLevel(voice) {
+        return voice.noteData.gainNode.gain.value;
+    }
+
+    /**
+     * Valitsee varastettavan äänen. Release-vaiheessa olevat äänet
+     * varastetaan aina ensin (vanhin ensin), vasta sitten pidetyt äänet
+     * valitun tilan mukaan (vanhin tai hiljaisin).
+     */
+    function pickVictim() {
+        const byAge = (a, b) => a.startTime - b.startTime;
+        const releasing = voices.filter(v => v.state === 'released').sort(byAge);
+        if (releasing.length > 0) return releasing[0];
+
+        const held = voices.filter(v => v.state === 'held').sort(byAge);
+        if (held.length === 0) return null;
+
+        if (ui.voiceStealMode && ui.voiceStealMode.value === 'quietest') {
+            return held.reduce((quietest, v) => estimateLevel(v) < estimateLevel(quietest) ? v : quietest);
+        }
+        return held[0];
+    }
+
+    function getVoiceMode() {
+        return ui.voiceMode ? ui.voiceMode.value : 'poly';
+    }
+
+    function getGlideTime() {
+        const glide = ui.glideTime ? parseFloat(ui.glideTime.value) : 0;
+        return isNaN(glide) || glide < 0 ? 0 : glide;
+    }
+
+    function removeVoice(voice) {
+        const idx = voices.indexOf(voice);
+        if (idx > -1) voices.splice(idx, 1);
+    }
+
+    // Merkitään ääni päättyneeksi, kun sen (mahdollisesti tulevaisuuteen ajastettu) häivytys on varmasti ohi
+    function scheduleEnd(voice, fadeTime) {
+        const delay = Math.max(0, voice.releaseTime - audioContext.currentTime);
+        setTimeout(() => {
+            voice.state = 'ended';
+            removeVoice(voice);
+            updateStatus();
+        }, (delay + fadeTime + CLEANUP_MARGIN) * 1000);
+    }
+
+    function steal(voice) {
+        const wasHeld = voice.state === 'held';
+        voice.state = 'stolen';
+        voice.releaseTime = audioContext.currentTime;
+        if (heldVoices.get(voice.key) === voice) heldVoices.delete(voice.key);
+
+        SineEngine.stop(audioContext, voice.noteData, STEAL_FADE_TIME);
+        scheduleEnd(voice, STEAL_FADE_TIME);
+
+        if (wasHeld && callbacks.onVoiceStolen) callbacks.onVoiceStolen(voice);
+    }
+
+    // Vapautetaan tilaa, kunnes uusi ääni mahtuu budjettiin
+    function makeRoom(weight) {
+        const max = getMaxPolyphony();
+        while (getLoad() + weight > max) {
+            const victim = pickVictim();
+            if (!victim) break;
+            steal(victim);
+        }
+    }
+
+    // --- ÄÄNTEN ELINKAARI ---
+
+    // Ääni siirtyy release-vaiheeseen vasta ajastetulla hetkellä (ellei sitä ole sillä välin varastettu)
+    function markReleased(voice) {
+        if (voice.state !== 'held') return;
+        voice.state = 'released';
+        if (heldVoices.get(voice.key) === voice) heldVoices.delete(voice.key);
+        updateStatus();
+    }
+
+    /**
+     * Päästää pidetyn äänen release-vaiheeseen (when = AudioContextin aika, oletuksena heti).
+     * Sekvensseri ajastaa note-offin etukäteen: ääni pysyy pidettynä (ei varastettava ensin,
+     * mukana pidetyissä) siihen asti, kunnes vapautushetki todella koittaa.
+     */
+    function releaseVoice(voice, releaseTime, when) {
+        voice.releaseTime = Math.max(audioContext.currentTime, when || 0);
+
+        SineEngine.stop(audioContext, voice.noteData, releaseTime, voice.releaseTime);
+        scheduleEnd(voice, releaseTime);
+
+        const delay = voice.releaseTime - audioContext.currentTime;
+        if (delay > 0) setTimeout(() => markReleased(voice), delay * 1000);
+        else markReleased(voice);
+    }
+
+    // Luo uuden SineEngine-äänen polyfoniabudjetin puitteissa
+    function startVoice(key, params) {
+        // Saman nuotin edellinen ääni katkaistaan uuden alkuun, ellei sen vapautus ole jo ajastettu ennen sitä
+        const previous = heldVoices.get(key);
+        const startTime = Math.max(audioContext.currentTime, params.time || 0);
+        if (previous && (previous.releaseTime === null || previous.releaseTime > startTime)) releaseVoice(previous, STEAL_FADE_TIME, startTime);
+
+        // Unison-kopiot kuluttavat polyfoniabudjettia kuten erilliset äänet
+        const weight = SineEngine.getUnisonCount(params.globals.unison);
+        makeRoom(weight);
+
+        const noteData = SineEngine.play(audioContext, params.freq, params.velocity, params.adsr, params.globals, params.targetNode, params.time);
+        const voice = {
+            id: nextVoiceId++,
+            key: key,
+            midiNote: params.midiNote,
+            freq: params.freq,
+            velocity: params.velocity,
+            startTime: startTime,
+            releaseTime: null,
+            state: 'held',
+            weight: weight,
+            nodeCount: noteData.nodeCount || 0,
+            noteData: noteData
+        };
+
+        voices.push(voice);
+        heldVoices.set(key, voice);
+        return voice;
+    }
+
+    // --- MONO / LEGATO ---
+
+    function createNote(key, params) {
+        return { key: key, midiNote: params.midiNote, freq: params.freq, velocity: params.velocity, params: params };
+    }
+
+    function getMonoChannel(name) {
+        const channelName = name || 'manual';
+        if (!monoChannels.has(channelName)) monoChannels.set(channelName, { voice: null, notes: [] });
+        return monoChannels.get(channelName);
+    }
+
+    function findMonoChannel(key) {
+        for (const channel of monoChannels.values()) {
+            if (channel.notes.some(n => n.key === key)) return channel;
+        }
+        return null;
+    }
+
+    // Valitsee soivan nuotin pidettyjen joukosta prioriteetin mukaan (viimeisin, matalin tai korkein)
+    function pickPriorityNote(notes) {
+        const priority = ui.notePriority ? ui.notePriority.value : 'last';
+        if (priority === 'low') return notes.reduce((low, n) => n.freq < low.freq ? n : low);
+        if (priority === 'high') return notes.reduce((high, n) => n.freq > high.freq ? n : high);
+        return notes[notes.length - 1];
+    }
+
+    /**
+     * Siirtää pidetyn äänen uuteen nuottiin liukumalla. ADSR käynnistetään
+     * uudelleen vain, jos retrigger on tosi (Mono); Legato jatkaa verhokäyrää.
+     */
+    function glideVoice(voice, note, glideTime, retrigger) {
+        if (heldVoices.get(voice.key) === voice) heldVoices.delete(voice.key);
+        voice.key = note.key;
+        voice.midiNote = note.midiNote;
+        voice.freq = note.freq;
+        voice.velocity = note.velocity;
+        heldVoices.set(voice.key, voice);
+
+        SineEngine.setFrequency(audioContext, voice.noteData, note.freq, glideTime, note.params.time);
+        if (retrigger) SineEngine.retrigger(audioContext, voice.noteData, note.params.adsr, note.velocity, note.params.time);
+    }
+
+    function startMono(key, params) {
+        const channel = getMonoChannel(params.channel);
+        channel.notes = channel.notes.filter(n => n.key !== key);
+        channel.notes.push(createNote(key, params));
+
+        const target = pickPriorityNote(channel.notes);
+        const voice = channel.voice;
+        if (!voice || voice.state !== 'held') {
+            channel.voice = startVoice(target.key, target.params);
+        } else if (voice.key !== target.key) {
+            // Sekvensserin slide on aina legato, muuten Mono-tila käynnistää ADSR:n uudelleen
+            const legato = params.slide || getVoiceMode() === 'legato';
+            const glideTime = params.slide ? Math.max(getGlideTime(), MIN_SLIDE_TIME) : getGlideTime();
+            glideVoice(voice, target, glideTime, !legato);
+        }
+        return channel.voice;
+    }
+
+    function releaseMono(channel, key, releaseTime, when) {
+        const note = channel.notes.find(n => n.key === key);
+        channel.notes = channel.notes.filter(n => n.key !== key);
+
+        const voice = channel.voice;
+        if (!voice || voice.state !== 'held' || voice.key !== key) return note;
+
+        if (channel.notes.length > 0) {
+            // Palataan yhä pidettyyn nuottiin
+            const target = pickPriorityNote(channel.notes);
+            glideVoice(voice, { ...target, params: { ...target.params, time: when } }, getGlideTime(), getVoiceMode() === 'mono');
+        } else {
+            releaseVoice(voice, releaseTime, when);
+            channel.voice = null;
+        }
+        return note;
+    }
+
+    // --- JULKINEN RAJAPINTA ---
+
+    /**
+     * Käynnistää nuotin. params: { freq, velocity, midiNote, adsr, globals, targetNode, channel, slide, slideFrom, time }
+     * time = AudioContextin aika, jolloin nuotti alkaa (sekvensserin ennakkoajastus); oletuksena heti.
+     * Poly-tilassa jokainen nuotti saa oman äänensä; slideFrom liu'uttaa sen pidetyn äänen
+     * uuteen nuottiin. Mono/Legato-tiloissa kanavalla ('manual' / 'seq') soi yksi ääni.
+     * Palauttaa äänen elinkaariobjektin.
+     */
+    function start(key, params) {
+        let voice;
+        if (getVoiceMode() !== 'poly') {
+            voice = startMono(key, params);
+        } else if (params.slideFrom && heldVoices.has(params.slideFrom)) {
+            voice = heldVoices.get(params.slideFrom);
+            glideVoice(voice, createNote(key, params), Math.max(getGlideTime(), MIN_SLIDE_TIME), false);
+        } else {
+            voice = startVoice(key, params);
+        }
+        updateStatus();
+        return voice;
+    }
+
+    /**
+     * Päästää nuotin irti hetkellä when (AudioContextin aika, oletuksena heti).
+     * Palauttaa äänen (tai mono-tilassa nuotin) tai null.
+     */
+    function release(key, releaseTime, when) {
+        const channel = findMonoChannel(key);
+        if (channel) {
+            const note = releaseMono(channel, key, releaseTime, when);
+            updateStatus();
+            return note;
+        }
+
+        const voice = heldVoices.get(key);
+        if (!voice) return null;
+        releaseVoice(voice, releaseTime, when);
+        updateStatus();
+        return voice;
+    }
+
+    // Pidetyt nuotit: soivat äänet sekä mono-kanavien taustalla odottavat nuotit
+    function getHeldKeys() {
+        const keys = new Set(heldVoices.keys());
+        monoChannels.forEach(channel => channel.notes.forEach(n => keys.add(n.key)));
+        return keys;
+    }
+
+    // Pakottaa rajan heti, esim. kun polyfoniaa pienennetään kesken soiton
+    function enforceLimit() {
+        makeRoom(0);
+        updateStatus();
+    }
+
+    /**
+     * Välittää pitch bendin kaikkiin soiviin ääniin (myös release-vaiheessa oleviin).
+     */
+    function setDetune(cents) {
+        voices.forEach(v => {
+            if (v.state !== 'ended') SineEngine.setDetune(audioContext, v.noteData, cents);
+        });
+    }
+
+    /**
+     * Päivittää äänenvärin soiviin ääniin: { freqMultipliers, amplitudes, phasesRad }
+     */
+    function setTimbre(timbre) {
+        voices.forEach(v => {
+            if (v.state === 'ended' || v.state === 'stolen') return;
+            SineEngine.setHarmonicMultipliers(audioContext, v.noteData, timbre.freqMultipliers, timbre.phasesRad);
+            SineEngine.setAmplitudes(audioContext, v.noteData, timbre.amplitudes);
+        });
+    }
+
+    /**
+     * Päivittää unisonin virityksen ja stereolevityksen soiviin ääniin: { voices, detune, spread }
+     */
+    function setUnison(unison) {
+        voices.forEach(v => {
+            if (v.state === 'ended' || v.state === 'stolen') return;
+            SineEngine.setUnison(audioContext, v.noteData, unison);
+        });
+    }
+
+    /**
+     * Päivittää äänikohtaisen suotimen soiviin ääniin (katso filter.js getSettings).
+     */
+    function setFilter(filter) {
+        voices.forEach(v => {
+            if (v.state === 'ended' || v.state === 'stolen') return;
+            SineEngine.setFilter(audioContext, v.noteData, filter);
+        });
+    }
+
+    function getStats() {
+        return {
+            voices: getLoad(),
+            held: getHeldKeys().size,
+            nodes: voices.reduce((sum, v) => sum + v.nodeCount, 0),
+            max: getMaxPolyphony()
+        };
+    }
+
+    function updateStatus() {
+        if (!ui.voiceStatus) return;
+        const stats = getStats();
+        ui.voiceStatus.textContent = `Voices: ${stats.voices} / ${stats.max} | Held: ${stats.held} | Nodes: ${stats.nodes}`;
+    }
+
+    if (ui.maxPolyphony) ui.maxPolyphony.addEventListener('input', enforceLimit);
+    // Tilan vaihto unohtaa mono-kanavien nuottipinot; jo soivat äänet vapautuvat normaalisti
+    if (ui.voiceMode) ui.voiceMode.addEventListener('change', () => monoChannels.clear());
+    updateStatus();
+
+    return {
+        start: start,
+        release: release,
+        has: (key) => heldVoices.has(key) || findMonoChannel(key) !== null,
+        get: (key) => heldVoices.get(key) || (findMonoChannel(key) || { notes: [] }).notes.find(n => n.key === key),
+        getHeldCount: () => getHeldKeys().size,
+        getVoices: () => voices.filter(v => v.state !== 'ended'),
+        enforceLimit: enforceLimit,
+        setDetune: setDetune,
+        setTimbre: setTimbre,
+        setUnison: setUnison,
+        setFilter: setFilter,
+        getStats: getStats
+    };
+};